@@ -16,14 +16,39 @@ let labelQueue = [];
 // In overlabel mode, patient details are omitted, leaving space for handwriting.
 let overlabelMode = false;
 
+// Position in labelQueue of the entry currently loaded into the form for editing,
+// or null when the form is being used to add a new label.
+let editingIndex = null;
+
+// A newly downloaded version of the app waiting to take over, and whether this
+// page asked it to (only then is the page reloaded when it does)
+let waitingServiceWorker = null;
+let updateRequested = false;
+
+// Positions (1 up to the number of labels per sheet) on the sheet in the printer
+// that have already been used, as marked in the sheet position picker before printing.
+// Cleared when the label stock changes, since the numbering no longer matches.
+const usedSheetPositions = new Set();
+
+// Queue entries made before the last "New Patient". They stay in the queue to be
+// printed, but are no longer saved to this device for recovery.
+const previousPatientEntries = new WeakSet();
+
 // ============================================================
 // App Startup
 // Everything inside this block runs once, when the page has
 // fully loaded and is ready for the user to interact with.
 // ============================================================
 document.addEventListener('DOMContentLoaded', async () => {
+    // Load the dispensary locations into the Dispensary Location dropdown
+    await DataManager.init();
+    
     // Initialize the medication manager
     await MedicationManager.init();
+    WarningLabelPicker.init();
+    
+    // Load the label stock profiles and apply the one last used on this device
+    await LabelStock.init();
     
     // Set current date as default for dispensed date
     const today = new Date().toISOString().split('T')[0];
@@ -31,11 +56,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Event listeners
     document.getElementById('add-to-queue-btn').addEventListener('click', addToQueue);
+    document.getElementById('cancel-edit-btn').addEventListener('click', cancelEdit);
     document.getElementById('generate-bag-label-btn').addEventListener('click', generateBagLabel);
     document.getElementById('print-queue-btn').addEventListener('click', printQueue);
     document.getElementById('clear-queue-btn').addEventListener('click', clearQueue);
     document.getElementById('new-patient-btn').addEventListener('click', clearPatientDetails);
     document.getElementById('overlabels-btn').addEventListener('click', toggleOverlabelMode);
+    document.getElementById('label-stock').addEventListener('change', changeLabelStock);
+    document.getElementById('dispensary-location').addEventListener('change', function () {
+        DataManager.updateHeaderLogo(this.value);
+    });
     
     // Prevent the year portion of the Date of Birth field from exceeding 4 digits.
     // Chrome clamps any year > 275760 internally before committing the value, so we
@@ -53,16 +83,64 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     });
 
-    // Initialize shorthand functionality when page loads
+    // Check the NHS number as it is typed, and tidy it into 3-3-4 groups once
+    // the user moves on to the next field
+    const nhsInput = document.getElementById('patient-nhs');
+    nhsInput.addEventListener('input', updateNhsStatus);
+    nhsInput.addEventListener('blur', function () {
+        if (NhsNumber.isValid(this.value)) {
+            this.value = NhsNumber.format(this.value);
+        }
+    });
+    document.getElementById('nhs-override').addEventListener('change', updateNhsStatus);
+    // Keep the label preview in step with whatever is typed into the form
+    const labelForm = document.getElementById('label-form');
+    labelForm.addEventListener('input', schedulePreviewUpdate);
+    labelForm.addEventListener('change', schedulePreviewUpdate);
+    
+    // 'reset' fires before the browser empties the fields, so wait a moment
+    labelForm.addEventListener('reset', () => setTimeout(() => {
+        updateNhsStatus();
+        MedicationManager.updateMedicineAlerts();
+        MedicationManager.updateWarningStatus();
+        updateLabelPreview();
+    }, 0));
+    document.getElementById('update-now-btn').addEventListener('click', applyUpdateNow);
+
+    // Add this site's own shorthand codes, then initialize shorthand functionality
+    CustomShorthand.init();
     LabelGenerator.initShorthand();
     
+    // Offer to restore a queue saved before the page was refreshed
+    QueueRecovery.init({
+        getQueue: () => labelQueue,
+        onRestore: (queue) => {
+            labelQueue = labelQueue.concat(queue);
+            updateQueueDisplay();
+            // Labels saved before dispensaries.json changed may name a location that has gone
+            const needFixing = queue.filter(labelData => getQueueEntryProblem(labelData)).length;
+            if (needFixing > 0) {
+                alert(`${needFixing} recovered label(s) need a dispensary location choosing before they can be printed - they are marked in the queue.`);
+            }
+        }
+    });
+    
     // Register the Service Worker — a background script that lets the app work
     // offline by saving a local copy of all its files on the user's device.
     // This is what makes the app installable as a Progressive Web App (PWA).
     if ('serviceWorker' in navigator) {
-        // Automatically refresh the page when a newly installed version takes over
+        // Refresh the page when a newly installed version takes over - but only if
+        // this page asked for the update, so work in progress is never thrown away.
+        // (The first install, or another tab updating, also fires this event.)
         navigator.serviceWorker.addEventListener('controllerchange', () => {
-            window.location.reload();
+            if (updateRequested) {
+                window.location.reload();
+            } else {
+                waitingServiceWorker = null;
+                document.getElementById('update-banner').classList.add('hidden');
+                // On first install this is when the offline copy becomes available
+                OfflineStatus.check();
+            }
         });
         
         navigator.serviceWorker.register('service-worker.js', {
@@ -70,6 +148,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         })
             .then(registration => {
                 console.log('Service Worker registered with scope:', registration.scope);
+                watchForAppUpdate(registration);
                 // Check for updates on every page load
                 registration.update();
             })
@@ -77,10 +156,124 @@ document.addEventListener('DOMContentLoaded', async () => {
                 console.log('Service Worker registration failed:', error);
             });
     }
+    
+    // Show whether this device has a complete copy of the app for offline use
+    OfflineStatus.check();
 });
 
-// Max characters for the medication name line on a label
-const MED_NAME_MAX_CHARS = 37;
+/**
+ * Watch for a new version of the app being downloaded. New versions wait
+ * (see service-worker.js) until "Update now", or applyUpdateIfIdle() after
+ * printing or New Patient, lets them in.
+ * @param {ServiceWorkerRegistration} registration - This app's service worker registration
+ */
+function watchForAppUpdate(registration) {
+    // A version downloaded on an earlier visit may already be waiting
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        onAppUpdateReady(registration.waiting);
+    }
+    
+    registration.addEventListener('updatefound', () => {
+        const newWorker = registration.installing;
+        if (!newWorker) return;
+        newWorker.addEventListener('statechange', () => {
+            // Without a current controller this is the first install, not an update
+            if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                onAppUpdateReady(newWorker);
+            }
+        });
+    });
+}
+
+/**
+ * A new version is ready: show the update banner and wait for the user to
+ * finish what they are doing
+ * @param {ServiceWorker} worker - The waiting service worker
+ */
+function onAppUpdateReady(worker) {
+    waitingServiceWorker = worker;
+    document.getElementById('update-banner').classList.remove('hidden');
+}
+
+/**
+ * Check whether anything would be lost by reloading the page:
+ * labels in the queue, a label being edited, or anything typed into the form
+ * @returns {boolean} - True if there is work in progress
+ */
+function isWorkInProgress() {
+    if (labelQueue.length > 0 || editingIndex !== null) {
+        return true;
+    }
+    
+    const typedFields = [
+        'patient-name', 'patient-dob', 'patient-nhs', 'patient-address',
+        'med-name', 'med-strength', 'med-quantity',
+        'shorthand-input', 'dosage', 'additional-info'
+    ];
+    return typedFields.some(id => {
+        const field = document.getElementById(id);
+        return field && field.value.trim() !== '';
+    });
+}
+
+/**
+ * Install a waiting update, but only once the queue and form are empty.
+ * Called when the user finishes a piece of work (printing, New Patient), never
+ * while they are typing, so the page doesn't reload under them.
+ */
+function applyUpdateIfIdle() {
+    if (waitingServiceWorker && !isWorkInProgress()) {
+        applyUpdate();
+    }
+}
+
+/**
+ * "Update now" - install the waiting update straight away, after a warning
+ * if the queue or form would be lost
+ */
+function applyUpdateNow() {
+    if (!waitingServiceWorker) return;
+    
+    if (isWorkInProgress()) {
+        const recoveryNote = QueueRecovery.isEnabled() ?
+            ' The queue can be recovered afterwards with your passphrase.' :
+            '';
+        if (!confirm(`Updating now will reload the page and clear the form and the label queue.${recoveryNote}\n\nUpdate now?`)) {
+            return;
+        }
+    }
+    
+    applyUpdate();
+}
+
+/**
+ * Tell the waiting service worker to take over; the page reloads on controllerchange
+ */
+function applyUpdate() {
+    updateRequested = true;
+    waitingServiceWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Max characters for the medication name line on the selected label stock
+ * @returns {number} - Character limit
+ */
+function getMedNameMaxChars() {
+    return LabelStock.getFitting().med_name_max_chars;
+}
+
+/**
+ * Switch to the label stock chosen in the dropdown. Sheet positions are
+ * numbered differently on each stock, so any marked as used are forgotten.
+ */
+function changeLabelStock() {
+    if (!LabelStock.select(this.value)) {
+        return;
+    }
+    usedSheetPositions.clear();
+    updateQueueDisplay();
+    schedulePreviewUpdate();
+}
 
 /**
  * Build the full medication line string from form data
@@ -98,10 +291,20 @@ function buildMedLine(formData) {
  * Add a label to the queue
  */
 function addToQueue() {
+    // Saving an edited bag label goes through the bag label checks instead
+    if (editingIndex !== null && labelQueue[editingIndex].isBagLabel) {
+        generateBagLabel();
+        return;
+    }
+    
     // Get form data
     const formData = getFormData();
     
     // Validate form data
+    if (!confirmNhsNumber(formData) || !confirmDispensary(formData)) {
+        return;
+    }
+
     if (!formData.medicationName) {
         alert('Please enter a medication name');
         return;
@@ -112,17 +315,21 @@ function addToQueue() {
         return;
     }
     
+    if (!confirmMedicineAlerts(formData)) {
+        return;
+    }
+    
     // Check if the medication line is too long
     const fullMedLine = buildMedLine(formData);
     
-    if (fullMedLine.length > MED_NAME_MAX_CHARS) {
+    if (fullMedLine.length > getMedNameMaxChars()) {
         // Look up all alternatives
         const result = MedicationManager.findShorterAlternatives(
             formData.medicationName,
             formData.medicationStrength,
             formData.medicationFormulation,
             formData.medicationQuantity,
-            MED_NAME_MAX_CHARS
+            getMedNameMaxChars()
         );
         
         const hasAlternatives = result.formulationOptions.length > 0 ||
@@ -160,6 +367,8 @@ function showAliasModal(formData, currentFullLine, result) {
     const nameList = document.getElementById('alias-name-list');
     const previewDiv = document.getElementById('alias-modal-preview');
     
+    const maxChars = getMedNameMaxChars();
+    
     // Track current selections
     let selectedForm = formData.medicationFormulation;
     let selectedName = formData.medicationName;
@@ -167,22 +376,22 @@ function showAliasModal(formData, currentFullLine, result) {
     // Show current line info
     currentDiv.innerHTML = `
         <div class="alias-label">Current medication line:</div>
-        <div class="alias-text">${currentFullLine}</div>
-        <div class="alias-chars">${currentFullLine.length} characters (max ${MED_NAME_MAX_CHARS})</div>
+        <div class="alias-text">${HtmlEscape.text(currentFullLine)}</div>
+        <div class="alias-chars">${currentFullLine.length} characters (max ${maxChars})</div>
     `;
     
     // Update the live preview
     function updatePreview() {
         const line = buildPreviewLine(selectedName, formData.medicationStrength, selectedForm, formData.medicationQuantity);
-        const fits = line.length <= MED_NAME_MAX_CHARS;
+        const fits = line.length <= maxChars;
         const statusClass = fits ? 'alias-preview-fits' : 'alias-preview-no-fit';
         const statusText = fits
             ? `Fits on one line (${line.length} chars)`
-            : `Too long (${line.length} chars, max ${MED_NAME_MAX_CHARS})`;
+            : `Too long (${line.length} chars, max ${maxChars})`;
         
         previewDiv.innerHTML = `
             <div class="alias-preview-label">Preview:</div>
-            <div class="alias-preview-line">${line}</div>
+            <div class="alias-preview-line">${HtmlEscape.text(line)}</div>
             <div class="${statusClass}">${statusText}</div>
         `;
     }
@@ -300,23 +509,42 @@ function hideAliasModal() {
     document.getElementById('alias-modal').classList.remove('visible');
 }
 
+/**
+ * Put an edited entry in place of the one at a position in the queue. An
+ * entry from before the last "New Patient" stays off this device when edited.
+ * @param {number} index - Position in labelQueue
+ * @param {Object} entry - The edited entry
+ */
+function replaceQueueEntry(index, entry) {
+    if (previousPatientEntries.has(labelQueue[index])) {
+        previousPatientEntries.add(entry);
+    }
+    labelQueue[index] = entry;
+}
+
 /**
  * Commit form data to the queue (the actual add-to-queue logic)
  */
 function commitToQueue(formData) {
-    // Get number of labels to add (default to 1 if invalid)
+    // Get number of labels to add (default to 1 if invalid).
+    // Copies are kept on a single queue entry and repeated when the queue is printed,
+    // so the whole set can be edited or removed in one go.
     const numberOfLabels = formData.numberOfLabels || 1;
+    const wasEditing = editingIndex !== null;
     
-    // Add the label to the queue the specified number of times
-    for (let i = 0; i < numberOfLabels; i++) {
-        labelQueue.push({...formData});
+    if (wasEditing) {
+        // Replace the entry being edited, keeping its place in the queue
+        replaceQueueEntry(editingIndex, {...formData, numberOfLabels});
+        exitEditMode();
+    } else {
+        labelQueue.push({...formData, numberOfLabels});
     }
     
     // Update queue display
     updateQueueDisplay();
     
     // Provide feedback on how many labels were added
-    if (numberOfLabels > 1) {
+    if (numberOfLabels > 1 && !wasEditing) {
         alert(`${numberOfLabels} copies of this label have been added to the queue.`);
     }
     
@@ -340,6 +568,22 @@ function commitToQueue(formData) {
     document.getElementById('dispensed-date').value = today;
 }
 
+/**
+ * Why a queue entry can't be printed as it is: its dispensary isn't in
+ * dispensaries.json, e.g. an entry recovered from this device, or queued
+ * before the list changed
+ * @param {Object} labelData - Queue entry
+ * @returns {string|null} - What needs fixing, or null if it can be printed
+ */
+function getQueueEntryProblem(labelData) {
+    if (!DataManager.hasDispensary(labelData.dispensaryLocation)) {
+        return labelData.dispensaryLocation
+            ? `Dispensary location "${labelData.dispensaryLocation}" is no longer in the list - edit this label to choose one`
+            : 'No dispensary location - edit this label to choose one';
+    }
+    return null;
+}
+
 /**
  * Update the queue display
  */
@@ -355,6 +599,9 @@ function updateQueueDisplay() {
     // Enable/disable clear button
     document.getElementById('clear-queue-btn').disabled = labelQueue.length === 0;
     
+    // Every change to the queue ends up here, so keep the recovery copy up to date
+    QueueRecovery.save(labelQueue.filter(entry => !previousPatientEntries.has(entry)));
+    
     if (labelQueue.length === 0) {
         queueContainer.innerHTML = '<div class="queue-empty">No labels in queue</div>';
         return;
@@ -364,6 +611,26 @@ function updateQueueDisplay() {
     labelQueue.forEach((labelData, index) => {
         const listItem = document.createElement('div');
         listItem.className = labelData.isBagLabel ? 'queue-item bag-label' : 'queue-item';
+        if (index === editingIndex) {
+            listItem.classList.add('editing');
+        }
+        
+        // An entry that can't be printed shows why, instead of its labels
+        const problem = getQueueEntryProblem(labelData);
+        if (problem) {
+            listItem.classList.add('has-problem');
+        }
+        const problemNote = problem ? `<div class="queue-item-problem">${HtmlEscape.text(problem)}</div>` : '';
+        
+        // Controls shared by every queue entry: reorder, edit and remove
+        const actions = `
+            <div class="queue-item-actions">
+                <button type="button" class="move-btn move-up-btn" title="Move up" ${index === 0 ? 'disabled' : ''}>&#9650;</button>
+                <button type="button" class="move-btn move-down-btn" title="Move down" ${index === labelQueue.length - 1 ? 'disabled' : ''}>&#9660;</button>
+                <button type="button" class="edit-btn">${index === editingIndex ? 'Editing' : 'Edit'}</button>
+                <button type="button" class="remove-btn">Remove</button>
+            </div>
+        `;
         
         if (labelData.isBagLabel) {
             // Bag label - show all patient details
@@ -371,37 +638,194 @@ function updateQueueDisplay() {
             const addressFirstLine = (labelData.patientAddress || '').split(/\r?\n/)[0];
             listItem.innerHTML = `
                 <div class="queue-label-type">Bag Label</div>
-                <div class="queue-medication">${labelData.patientName || ''}</div>
-                <div class="queue-details">DOB: ${dob}${labelData.patientNHS ? ` | NHS: ${labelData.patientNHS}` : ''}</div>
-                ${addressFirstLine ? `<div class="queue-details">${addressFirstLine}</div>` : ''}
-                <button class="remove-btn" data-index="${index}">Remove</button>
+                <div class="queue-medication">${HtmlEscape.text(labelData.patientName)}</div>
+                <div class="queue-details">DOB: ${HtmlEscape.text(dob)}${labelData.patientNHS ? ` | NHS: ${HtmlEscape.text(NhsNumber.format(labelData.patientNHS))}` : ''}</div>
+                ${addressFirstLine ? `<div class="queue-details">${HtmlEscape.text(addressFirstLine)}</div>` : ''}
+                ${problemNote}
+                ${actions}
             `;
         } else {
             // Medication label - show all info including warnings
-            const actualLabels = LabelGenerator.generateLabels(labelData);
+            const actualLabels = problem ? [] : LabelGenerator.generateLabels(labelData);
             const splitNote = actualLabels.length > 1 ? ` <span class="queue-split-note">(splits across ${actualLabels.length} labels)</span>` : '';
+            const copiesNote = labelData.numberOfLabels > 1 ? ` <span class="queue-copies-note">&times; ${labelData.numberOfLabels} copies</span>` : '';
+            const medicationLine = `${labelData.medicationQuantity ? labelData.medicationQuantity + ' ' : ''}${LabelGenerator.toTitleCase(labelData.medicationName)}${labelData.medicationStrength ? ' ' + labelData.medicationStrength : ''} ${LabelGenerator.toTitleCase(labelData.medicationFormulation || '')}`;
+            const dispensedDate = labelData.dateOfDispensing ? new Date(labelData.dateOfDispensing).toLocaleDateString('en-GB') : '';
+            const patientLine = `${labelData.patientName || ''}${labelData.patientName && dispensedDate ? ' | ' : ''}${dispensedDate}`;
+            const printedLabels = MedicationManager.orderWarningLabels(labelData.warningLabels || []);
+            const removedLabels = (labelData.removedWarningLabels || [])
+                .map(entry => `label ${entry.labelNumber} removed: ${entry.reason}`);
             listItem.innerHTML = `
-                <div class="queue-medication">${labelData.medicationQuantity ? labelData.medicationQuantity + ' ' : ''}${LabelGenerator.toTitleCase(labelData.medicationName)}${labelData.medicationStrength ? ' ' + labelData.medicationStrength : ''} ${LabelGenerator.toTitleCase(labelData.medicationFormulation || '')}${splitNote}</div>
-                <div class="queue-dosage">${labelData.dosageInstructions || ''}</div>
-                ${labelData.additionalInformation ? `<div class="queue-additional-info">${labelData.additionalInformation}</div>` : ''}
-                <div class="queue-patient">${labelData.patientName || ''}${labelData.patientName && labelData.dateOfDispensing ? ' | ' : ''}${labelData.dateOfDispensing ? new Date(labelData.dateOfDispensing).toLocaleDateString('en-GB') : ''}</div>
-                <button class="remove-btn" data-index="${index}">Remove</button>
+                <div class="queue-medication">${HtmlEscape.text(medicationLine)}${splitNote}${copiesNote}</div>
+                ${labelData.medicineAlerts && labelData.medicineAlerts.length > 0 ? `<div class="queue-alert">&#9888; ${HtmlEscape.text(labelData.medicineAlerts.join(', '))}</div>` : ''}
+                <div class="queue-dosage">${HtmlEscape.text(labelData.dosageInstructions)}</div>
+                ${printedLabels.length > 0 ? `<div class="queue-warning-labels">BNF label${printedLabels.length === 1 ? '' : 's'} ${HtmlEscape.text(printedLabels.join(', '))}${labelData.warningLanguage ? ` in ${HtmlEscape.text(MedicationManager.getLanguageName(labelData.warningLanguage))}` : ''}</div>` : ''}
+                ${removedLabels.length > 0 ? `<div class="queue-warning-removed">${HtmlEscape.text(removedLabels.join('; '))}</div>` : ''}
+                ${labelData.additionalInformation ? `<div class="queue-additional-info">${HtmlEscape.text(labelData.additionalInformation)}</div>` : ''}
+                <div class="queue-patient">${HtmlEscape.text(patientLine)}</div>
+                ${problemNote}
+                ${actions}
             `;
         }
         
         queueContainer.appendChild(listItem);
         
-        // Add click event to remove button
+        // Add click events to the entry's buttons
+        listItem.querySelector('.move-up-btn').addEventListener('click', () => {
+            moveQueueItem(index, index - 1);
+        });
+        listItem.querySelector('.move-down-btn').addEventListener('click', () => {
+            moveQueueItem(index, index + 1);
+        });
+        listItem.querySelector('.edit-btn').addEventListener('click', () => {
+            editQueueItem(index);
+        });
         listItem.querySelector('.remove-btn').addEventListener('click', () => {
             removeFromQueue(index);
         });
+        
+        // Let entries be dragged into a new position. The dragged entry's index
+        // travels with the drag so the drop target knows what to move.
+        listItem.draggable = true;
+        listItem.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', String(index));
+            e.dataTransfer.effectAllowed = 'move';
+            listItem.classList.add('dragging');
+        });
+        listItem.addEventListener('dragend', () => {
+            listItem.classList.remove('dragging');
+        });
+        listItem.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            listItem.classList.add('drag-over');
+        });
+        listItem.addEventListener('dragleave', () => {
+            listItem.classList.remove('drag-over');
+        });
+        listItem.addEventListener('drop', (e) => {
+            e.preventDefault();
+            listItem.classList.remove('drag-over');
+            const fromIndex = parseInt(e.dataTransfer.getData('text/plain'), 10);
+            if (!isNaN(fromIndex)) {
+                moveQueueItem(fromIndex, index);
+            }
+        });
     });
 }
 
+/**
+ * Move a queue entry to a new position (used by the up/down buttons and drag-and-drop)
+ * @param {number} fromIndex - Current position of the entry
+ * @param {number} toIndex - Position to move it to
+ */
+function moveQueueItem(fromIndex, toIndex) {
+    if (fromIndex === toIndex || toIndex < 0 || toIndex >= labelQueue.length) return;
+    
+    const [moved] = labelQueue.splice(fromIndex, 1);
+    labelQueue.splice(toIndex, 0, moved);
+    
+    // Keep track of the entry being edited as it moves, or as others move around it
+    if (editingIndex === fromIndex) {
+        editingIndex = toIndex;
+    } else if (editingIndex !== null) {
+        if (fromIndex < editingIndex && toIndex >= editingIndex) {
+            editingIndex--;
+        } else if (fromIndex > editingIndex && toIndex <= editingIndex) {
+            editingIndex++;
+        }
+    }
+    
+    updateQueueDisplay();
+}
+
+/**
+ * Load a queued entry back into the form so it can be corrected.
+ * Saving (the "Save Changes" button) replaces the entry at the same position.
+ * @param {number} index - Position of the entry in labelQueue
+ */
+function editQueueItem(index) {
+    const labelData = labelQueue[index];
+    if (!labelData) return;
+    
+    // Match the overlabel mode the entry was created in
+    if (!!labelData.isOverlabelMode !== overlabelMode) {
+        toggleOverlabelMode();
+    }
+    
+    // Patient details
+    document.getElementById('patient-name').value = labelData.patientName || '';
+    document.getElementById('patient-dob').value = labelData.patientDOB || '';
+    document.getElementById('patient-nhs').value = labelData.patientNHS ? NhsNumber.format(labelData.patientNHS) : '';
+    document.getElementById('nhs-override').checked = !!labelData.nhsOverride;
+    document.getElementById('patient-address').value = labelData.patientAddress || '';
+    updateNhsStatus();
+    
+    // Dispensing details
+    document.getElementById('dispensed-date').value = labelData.dateOfDispensing || '';
+    document.getElementById('dispensary-location').value = labelData.dispensaryLocation;
+    DataManager.updateHeaderLogo(labelData.dispensaryLocation);
+    document.getElementById('show-initials').checked = labelData.showInitials !== false;
+    
+    if (labelData.isBagLabel) {
+        clearMedicationDetails();
+    } else {
+        // Medication details and dosage
+        document.getElementById('med-name').value = labelData.medicationName || '';
+        MedicationManager.updateMedicineAlerts();
+        document.getElementById('medicine-alert-checked').checked = !!labelData.medicineAlertsChecked;
+        document.getElementById('med-form').value = labelData.medicationFormulation || '';
+        document.getElementById('med-strength').value = labelData.medicationStrength || '';
+        document.getElementById('med-quantity').value = labelData.medicationQuantity || '';
+        document.getElementById('number-of-labels').value = labelData.numberOfLabels || 1;
+        document.getElementById('dosage').value = labelData.dosageInstructions || '';
+        document.getElementById('additional-info').value = labelData.additionalInformation || '';
+        MedicationManager.updateWarningStatus();
+        WarningLabelPicker.setState(labelData);
+        document.getElementById('standard-warning').checked = labelData.standardWarning !== false;
+    }
+    
+    editingIndex = index;
+    schedulePreviewUpdate();
+    document.getElementById('add-to-queue-btn').textContent = labelData.isBagLabel ? 'Save Bag Label' : 'Save Changes';
+    document.getElementById('cancel-edit-btn').classList.remove('hidden');
+    updateQueueDisplay();
+    
+    document.getElementById('label-form').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Leave edit mode and return the form's buttons to their normal state
+ */
+function exitEditMode() {
+    editingIndex = null;
+    document.getElementById('add-to-queue-btn').textContent = 'Add to Queue';
+    document.getElementById('cancel-edit-btn').classList.add('hidden');
+    document.getElementById('number-of-labels').value = 1;
+}
+
+/**
+ * Abandon an edit, leaving the queued entry as it was
+ */
+function cancelEdit() {
+    if (editingIndex === null) return;
+    
+    exitEditMode();
+    clearMedicationDetails();
+    updateQueueDisplay();
+}
+
 /**
  * Remove a label from the queue
  */
 function removeFromQueue(index) {
+    // Removing the entry being edited ends the edit; removing one above it shifts it up
+    if (index === editingIndex) {
+        exitEditMode();
+        clearMedicationDetails();
+    } else if (editingIndex !== null && index < editingIndex) {
+        editingIndex--;
+    }
+    
     labelQueue.splice(index, 1);
     updateQueueDisplay();
 }
@@ -414,12 +838,18 @@ function clearQueue() {
     
     if (confirm('Are you sure you want to clear all labels from the queue?')) {
         labelQueue = [];
+        if (editingIndex !== null) {
+            exitEditMode();
+            clearMedicationDetails();
+        }
         updateQueueDisplay();
     }
 }
 
 /**
- * Print all labels in the queue
+ * Print all labels in the queue.
+ * Opens the sheet picker first so the user can mark positions already used on
+ * the sheet in the printer and check where every label will land.
  */
 function printQueue() {
     if (labelQueue.length === 0) {
@@ -427,77 +857,251 @@ function printQueue() {
         return;
     }
     
-    // Ask user which label position to start from (1-24 on an A4 sheet)
-    let startPosition = prompt('Enter the label number to start from (1-24):', '1');
-    
-    // Validate input
-    startPosition = parseInt(startPosition);
-    if (isNaN(startPosition) || startPosition < 1 || startPosition > 24) {
-        alert('Please enter a valid number between 1 and 24');
+    const needFixing = labelQueue
+        .map((labelData, index) => getQueueEntryProblem(labelData) ? index + 1 : null)
+        .filter(queueNumber => queueNumber !== null);
+    if (needFixing.length > 0) {
+        alert(`Queue item${needFixing.length === 1 ? '' : 's'} ${needFixing.join(', ')} can't be printed yet - edit ${needFixing.length === 1 ? 'it' : 'them'} to choose a dispensary location.`);
         return;
     }
     
-    // Create a print container if it doesn't exist
-    let printContainer = document.getElementById('print-container');
-    if (!printContainer) {
-        printContainer = document.createElement('div');
-        printContainer.id = 'print-container';
-        document.body.appendChild(printContainer);
-    }
-    
-    // Clear previous content
-    printContainer.innerHTML = '';
-    
-    // Create a container for all the labels
-    const labelsContainer = document.createElement('div');
-    labelsContainer.className = 'print-labels-container';
-    printContainer.appendChild(labelsContainer);
-    
-    // For tracking how many labels we've processed
-    let labelCount = 0;
-    
-    // Create all the label elements first
-    const labelElements = [];
+    showSheetPositionModal(buildPrintLabels());
+}
+
+/**
+ * Build every label the queue will print, in order, including each copy and
+ * every label of a split set
+ * @returns {Array} - List of { element, summary, queueNumber } objects
+ */
+function buildPrintLabels() {
+    const printLabels = [];
     
-    // Process each label in the queue
-    labelQueue.forEach(labelData => {
+    labelQueue.forEach((labelData, index) => {
+        const queueNumber = index + 1;
+        
         if (labelData.isBagLabel) {
             // Handle bag label differently - they have a completely different format
             const bagLabel = document.createElement('div');
             bagLabel.className = 'print-label';
             bagLabel.innerHTML = LabelGenerator.generateBagLabel(labelData);
-            labelElements.push(bagLabel);
-            labelCount++;
-        } else if (LabelGenerator.needsMultipleLabels(labelData)) {
-            // Create multiple medication labels
-            const splitLabels = createSplitLabels(labelData);
-            splitLabels.forEach(label => {
-                labelElements.push(label);
-                labelCount++;
+            printLabels.push({
+                element: bagLabel,
+                summary: `Bag label: ${labelData.patientName || ''}`,
+                queueNumber
             });
-        } else {
-            // Create a single medication label
-            const label = createSingleLabel(labelData);
-            labelElements.push(label);
-            labelCount++;
+            return;
+        }
+        
+        // Repeat entries that have several copies
+        const copies = labelData.numberOfLabels || 1;
+        const medicationName = LabelGenerator.toTitleCase(labelData.medicationName);
+        
+        for (let copy = 0; copy < copies; copy++) {
+            const labels = LabelGenerator.needsMultipleLabels(labelData) ?
+                createSplitLabels(labelData) :
+                [createSingleLabel(labelData)];
+            
+            labels.forEach((label, i) => {
+                const part = labels.length > 1 ? ` (label ${i + 1} of ${labels.length})` : '';
+                const copyNote = copies > 1 ? ` - copy ${copy + 1} of ${copies}` : '';
+                printLabels.push({
+                    element: label,
+                    summary: `${medicationName}${part}${copyNote}`,
+                    queueNumber
+                });
+            });
+        }
+    });
+    
+    return printLabels;
+}
+
+/**
+ * Work out which sheet position each label will print in.
+ * Positions already used are skipped on the first sheet only - any further
+ * sheets are assumed to be new.
+ * @param {number} labelCount - Number of labels to place
+ * @param {Set} usedPositions - Positions (1-based) already used on the first sheet
+ * @returns {Array} - One array per sheet; each holds a label index or null per position
+ */
+function layoutSheets(labelCount, usedPositions) {
+    const positionsPerSheet = LabelStock.getPositionsPerSheet();
+    const sheets = [];
+    let nextLabel = 0;
+    
+    while (nextLabel < labelCount) {
+        const isFirstSheet = sheets.length === 0;
+        const sheet = [];
+        
+        for (let position = 1; position <= positionsPerSheet; position++) {
+            if ((isFirstSheet && usedPositions.has(position)) || nextLabel >= labelCount) {
+                sheet.push(null);
+            } else {
+                sheet.push(nextLabel++);
+            }
         }
+        
+        sheets.push(sheet);
+    }
+    
+    return sheets;
+}
+
+/**
+ * Show the sheet position picker: a clickable picture of the label sheet where
+ * used positions can be marked, with every queued label shown where it will print
+ * @param {Array} printLabels - Labels from buildPrintLabels()
+ */
+function showSheetPositionModal(printLabels) {
+    const modal = document.getElementById('sheet-modal');
+    const sheetsContainer = document.getElementById('sheet-modal-sheets');
+    const summary = document.getElementById('sheet-modal-summary');
+    
+    const stock = LabelStock.getActive();
+    
+    function render() {
+        const sheets = layoutSheets(printLabels.length, usedSheetPositions);
+        sheetsContainer.innerHTML = '';
+        
+        sheets.forEach((sheet, sheetIndex) => {
+            const sheetEl = document.createElement('div');
+            sheetEl.className = 'sheet-preview';
+            
+            const title = document.createElement('div');
+            title.className = 'sheet-preview-title';
+            title.textContent = sheetIndex === 0 ?
+                'Sheet 1 (click positions that are already used)' :
+                `Sheet ${sheetIndex + 1}`;
+            sheetEl.appendChild(title);
+            
+            const grid = document.createElement('div');
+            grid.className = 'sheet-grid';
+            grid.style.gridTemplateColumns = `repeat(${stock.columns}, 1fr)`;
+            
+            sheet.forEach((labelIndex, i) => {
+                const position = i + 1;
+                const cell = document.createElement('div');
+                cell.className = 'sheet-cell';
+                cell.style.aspectRatio = `${stock.label_width_mm} / ${stock.label_height_mm}`;
+                
+                const number = document.createElement('span');
+                number.className = 'sheet-cell-number';
+                number.textContent = position;
+                cell.appendChild(number);
+                
+                if (labelIndex !== null) {
+                    const printLabel = printLabels[labelIndex];
+                    cell.classList.add('filled');
+                    const text = document.createElement('span');
+                    text.className = 'sheet-cell-text';
+                    text.textContent = `#${printLabel.queueNumber} ${printLabel.summary}`;
+                    cell.appendChild(text);
+                    cell.title = printLabel.summary;
+                } else if (sheetIndex === 0 && usedSheetPositions.has(position)) {
+                    cell.classList.add('used');
+                    cell.title = 'Already used';
+                }
+                
+                // Only the sheet currently in the printer can have used positions
+                if (sheetIndex === 0) {
+                    cell.classList.add('selectable');
+                    cell.addEventListener('click', () => {
+                        if (usedSheetPositions.has(position)) {
+                            usedSheetPositions.delete(position);
+                        } else {
+                            usedSheetPositions.add(position);
+                        }
+                        render();
+                    });
+                }
+                
+                grid.appendChild(cell);
+            });
+            
+            sheetEl.appendChild(grid);
+            sheetsContainer.appendChild(sheetEl);
+        });
+        
+        summary.textContent = `${printLabels.length} label${printLabels.length === 1 ? '' : 's'} on ${sheets.length} sheet${sheets.length === 1 ? '' : 's'}` +
+            (usedSheetPositions.size > 0 ? `, skipping ${usedSheetPositions.size} used position${usedSheetPositions.size === 1 ? '' : 's'} on sheet 1` : '');
+    }
+    
+    render();
+    
+    // Replace the buttons with fresh copies so handlers from a previous opening
+    // don't stack up (see showAliasModal)
+    const printBtn = document.getElementById('sheet-modal-print');
+    const clearBtn = document.getElementById('sheet-modal-clear');
+    const cancelBtn = document.getElementById('sheet-modal-cancel');
+    
+    const newPrintBtn = printBtn.cloneNode(true);
+    printBtn.parentNode.replaceChild(newPrintBtn, printBtn);
+    const newClearBtn = clearBtn.cloneNode(true);
+    clearBtn.parentNode.replaceChild(newClearBtn, clearBtn);
+    const newCancelBtn = cancelBtn.cloneNode(true);
+    cancelBtn.parentNode.replaceChild(newCancelBtn, cancelBtn);
+    
+    newPrintBtn.addEventListener('click', () => {
+        const sheets = layoutSheets(printLabels.length, usedSheetPositions);
+        modal.classList.remove('visible');
+        printLabelSheets(printLabels, sheets);
     });
     
-    // Calculate grid positions for labels
-    // Each A4 sheet has 3 columns and 8 rows (24 labels total)
+    newClearBtn.addEventListener('click', () => {
+        usedSheetPositions.clear();
+        render();
+    });
     
-    // Add empty placeholders for labels that are already used
-    for (let i = 1; i < startPosition; i++) {
-        const emptyLabel = document.createElement('div');
-        emptyLabel.className = 'print-label empty-label';
-        labelsContainer.appendChild(emptyLabel);
+    newCancelBtn.addEventListener('click', () => {
+        modal.classList.remove('visible');
+    });
+    
+    modal.classList.add('visible');
+}
+
+/**
+ * Lay the labels out sheet by sheet in the print container and print them
+ * @param {Array} printLabels - Labels from buildPrintLabels()
+ * @param {Array} sheets - Sheet layout from layoutSheets()
+ */
+function printLabelSheets(printLabels, sheets) {
+    // Create a print container if it doesn't exist
+    let printContainer = document.getElementById('print-container');
+    if (!printContainer) {
+        printContainer = document.createElement('div');
+        printContainer.id = 'print-container';
+        document.body.appendChild(printContainer);
     }
     
-    // Add the actual labels
-    labelElements.forEach(label => {
-        labelsContainer.appendChild(label);
+    // Clear previous content
+    printContainer.innerHTML = '';
+    
+    // One grid per sheet, each starting on a new page
+    sheets.forEach(sheet => {
+        // Trailing empty positions on the last sheet need no placeholder, and a
+        // sheet with every position used needs no page at all
+        let lastFilled = sheet.length - 1;
+        while (lastFilled >= 0 && sheet[lastFilled] === null) lastFilled--;
+        if (lastFilled < 0) return;
+        
+        const labelsContainer = document.createElement('div');
+        labelsContainer.className = 'print-labels-container';
+        printContainer.appendChild(labelsContainer);
+        
+        sheet.slice(0, lastFilled + 1).forEach(labelIndex => {
+            if (labelIndex === null) {
+                // Empty placeholder for a position that is already used
+                const emptyLabel = document.createElement('div');
+                emptyLabel.className = 'print-label empty-label';
+                labelsContainer.appendChild(emptyLabel);
+            } else {
+                labelsContainer.appendChild(printLabels[labelIndex].element);
+            }
+        });
     });
     
+    const labelCount = printLabels.length;
+    
     // Position the print container off-screen during preparation
     printContainer.style.position = 'absolute';
     printContainer.style.left = '-9999px';
@@ -509,11 +1113,23 @@ function printQueue() {
         // Print
         window.print();
         
+        // Positions marked as used only applied to the sheet just printed
+        usedSheetPositions.clear();
+        
+        // Printed labels no longer need to be recoverable
+        QueueRecovery.clear();
+        
         // Ask if queue should be cleared after printing
         if (confirm(`${labelCount} labels printed. Do you want to clear the queue?`)) {
             labelQueue = [];
+            if (editingIndex !== null) {
+                exitEditMode();
+                clearMedicationDetails();
+            }
             updateQueueDisplay();
         }
+        
+        applyUpdateIfIdle();
     }, 500);
 }
 
@@ -562,6 +1178,87 @@ function createSplitLabels(labelData) {
     return labels;
 }
 
+/**
+ * Refresh the label preview shortly after the user stops typing.
+ * Rebuilding the label HTML on every keypress is unnecessary, so updates are
+ * held back until typing pauses.
+ */
+function schedulePreviewUpdate() {
+    clearTimeout(schedulePreviewUpdate._timer);
+    schedulePreviewUpdate._timer = setTimeout(updateLabelPreview, 150);
+}
+
+/**
+ * Render the label(s) the current form would produce, using the same HTML and
+ * print styles as the printed sheet, along with notes on anything that will
+ * cause the content to split across labels.
+ */
+function updateLabelPreview() {
+    const previewContainer = document.getElementById('label-preview');
+    const statusContainer = document.getElementById('label-preview-status');
+    const formData = getFormData();
+    
+    if (!formData.medicationName && !formData.dosageInstructions) {
+        previewContainer.innerHTML = '<div class="preview-empty">Enter a medicine and dosage to see the label</div>';
+        statusContainer.innerHTML = '';
+        return;
+    }
+
+    if (!DataManager.hasDispensary(formData.dispensaryLocation)) {
+        previewContainer.innerHTML = '<div class="preview-empty">Choose a dispensary location to see the label</div>';
+        statusContainer.innerHTML = '';
+        return;
+    }
+
+    // Render exactly what printQueue would print for this entry
+    const labels = createSplitLabels(formData);
+    previewContainer.innerHTML = '';
+    labels.forEach(label => previewContainer.appendChild(label));
+    
+    // Explain how the content fits
+    const messages = [];
+    
+    const medLine = buildMedLine(formData);
+    const maxChars = getMedNameMaxChars();
+    if (medLine.length > maxChars) {
+        messages.push({ type: 'warning', text: `Medication line is ${medLine.length} characters (max ${maxChars}) - the name will continue onto a separate label` });
+    } else {
+        messages.push({ type: 'ok', text: `Medication line: ${medLine.length} of ${maxChars} characters` });
+    }
+    
+    const splitInfo = LabelGenerator.needsMultipleLabels(formData);
+    if (splitInfo.splitDosage) {
+        const maxLines = LabelStock.getFitting().max_dosage_lines;
+        messages.push({ type: 'warning', text: `Dosage instructions are longer than ${maxLines} lines and will continue on another label` });
+    }
+    if (splitInfo.splitWarnings) {
+        messages.push({ type: 'warning', text: 'Additional information is too long to fit on one label' });
+    }
+    if (splitInfo.needsSplitting && !splitInfo.splitDosage && !splitInfo.splitWarnings) {
+        messages.push({ type: 'warning', text: 'Dosage and additional information together overflow one label' });
+    }
+    
+    const copies = formData.numberOfLabels || 1;
+    const copiesText = copies > 1 ? ` (x ${copies} copies = ${labels.length * copies} labels)` : '';
+    if (labels.length > 1) {
+        messages.push({ type: 'error', text: `Prints on ${labels.length} labels${copiesText}` });
+    } else {
+        messages.push({ type: 'ok', text: `Fits on a single label${copiesText}` });
+    }
+    
+    if (!LabelStock.isFittingMeasured()) {
+        messages.push({ type: 'warning', text: `How much text fits on ${LabelStock.getActive().name} labels is estimated - check the first printed label for cut-off text` });
+    }
+    
+    statusContainer.innerHTML = '';
+    messages.forEach(message => {
+        const line = document.createElement('div');
+        line.className = `preview-${message.type}`;
+        line.textContent = message.text;
+        statusContainer.appendChild(line);
+    });
+}
+
 /**
  * Clear only medication details while preserving patient information
  */
@@ -573,6 +1270,11 @@ function clearMedicationDetails() {
     document.getElementById('med-quantity').value = '';
     document.getElementById('dosage').value = '';
     document.getElementById('additional-info').value = '';
+    MedicationManager.updateMedicineAlerts();
+    MedicationManager.updateWarningStatus();
+    WarningLabelPicker.clear();
+    
+    schedulePreviewUpdate();
 }
 
 /**
@@ -584,12 +1286,108 @@ function clearPatientDetails() {
     document.getElementById('patient-dob').value = '';
     document.getElementById('patient-nhs').value = '';
     document.getElementById('patient-address').value = '';
+    document.getElementById('nhs-override').checked = false;
+    updateNhsStatus();
+    
+    // Don't keep the previous patient's queue on this device. Their labels can
+    // still be printed with the next patient's, but aren't saved again when the
+    // queue next changes.
+    labelQueue.forEach(entry => previousPatientEntries.add(entry));
+    QueueRecovery.clear();
     
     // Also clear medication details
     clearMedicationDetails();
     
     // Focus on patient name field
     document.getElementById('patient-name').focus();
+    
+    applyUpdateIfIdle();
+}
+
+/**
+ * Show whether the NHS number currently typed passes the Modulus 11 check
+ */
+function updateNhsStatus() {
+    const value = document.getElementById('patient-nhs').value;
+    const override = document.getElementById('nhs-override').checked;
+    const status = document.getElementById('nhs-status');
+    
+    status.classList.remove('valid', 'invalid', 'override');
+    
+    if (!value.trim()) {
+        status.textContent = '';
+        return;
+    }
+    
+    const result = NhsNumber.validate(value);
+    if (result.valid) {
+        status.textContent = `Valid NHS number (${NhsNumber.format(value)})`;
+        status.classList.add('valid');
+    } else if (override) {
+        status.textContent = `Check skipped for temporary number: ${result.reason}`;
+        status.classList.add('override');
+    } else {
+        status.textContent = result.reason;
+        status.classList.add('invalid');
+    }
+}
+
+/**
+ * Make sure an NHS number that fails the check digit can't be queued by mistake.
+ * An empty NHS number is allowed, as is any number when the temporary-number
+ * override is ticked.
+ * @param {Object} formData - Form data from getFormData()
+ * @returns {boolean} - True if it is safe to continue
+ */
+function confirmNhsNumber(formData) {
+    if (!formData.patientNHS || formData.nhsOverride) {
+        return true;
+    }
+    
+    const result = NhsNumber.validate(formData.patientNHS);
+    if (!result.valid) {
+        alert(`The NHS number is not valid: ${result.reason}.\n\nCorrect it, or tick "Temporary number" if this is a temporary number.`);
+        document.getElementById('patient-nhs').focus();
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Make sure the label will carry a real dispensary's details. The location can
+ * be missing if the dispensary list failed to load, or if a queued label was
+ * made for a location that has since been removed from the list.
+ * @param {Object} formData - Form data from getFormData()
+ * @returns {boolean} - True if it is safe to continue
+ */
+function confirmDispensary(formData) {
+    if (!DataManager.hasDispensary(formData.dispensaryLocation)) {
+        alert('Please choose a dispensary location.');
+        document.getElementById('dispensary-location').focus();
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Make sure a specialist or high-risk medicine that needs an extra check can't
+ * be queued until the dispenser has ticked to say it was done
+ * @param {Object} formData - Form data from getFormData()
+ * @returns {boolean} - True if it is safe to continue
+ */
+function confirmMedicineAlerts(formData) {
+    const alerts = MedicationManager.getMedicineAlerts(formData.medicationName);
+    const needsCheck = alerts.filter(medicineAlert => medicineAlert.requiresCheck);
+    
+    if (needsCheck.length > 0 && !formData.medicineAlertsChecked) {
+        alert(`${needsCheck.map(medicineAlert => medicineAlert.name).join(', ')}: read the alert under the medicine name, then tick "Extra check done" before adding it to the queue.`);
+        document.getElementById('medicine-alert-checked').focus();
+        return false;
+    }
+    
+    return true;
 }
 
 /**
@@ -620,6 +1418,7 @@ function toggleOverlabelMode() {
             field.classList.add('disabled-field');
             field.value = ''; // Clear any existing values
         });
+        updateNhsStatus();
         
         // Show a message to indicate overlabel mode is active
         const patientSection = document.querySelector('.form-group');
@@ -649,6 +1448,8 @@ function toggleOverlabelMode() {
         }
     }
     
+    schedulePreviewUpdate();
+    
 }
 
 /**
@@ -669,18 +1470,30 @@ function generateBagLabel() {
         alert('Please enter the patient date of birth');
         return;
     }
-    
+
     // Get form data for the bag label
     const formData = getFormData();
+
+    if (!confirmNhsNumber(formData) || !confirmDispensary(formData)) {
+        return;
+    }
     
     // Generate bag label
     const labelContent = LabelGenerator.generateBagLabel(formData);
     
-    // Add to queue
-    labelQueue.push({
+    // Add to queue, or replace the bag label being edited
+    const bagLabelData = {
         ...formData,
+        numberOfLabels: 1,
         isBagLabel: true
-    });
+    };
+    
+    if (editingIndex !== null && labelQueue[editingIndex].isBagLabel) {
+        replaceQueueEntry(editingIndex, bagLabelData);
+        exitEditMode();
+    } else {
+        labelQueue.push(bagLabelData);
+    }
     
     // Update queue display
     updateQueueDisplay();
@@ -697,6 +1510,7 @@ function getFormData() {
         patientName: document.getElementById('patient-name').value.trim(),
         patientDOB: document.getElementById('patient-dob').value,
         patientNHS: document.getElementById('patient-nhs').value.trim(),
+        nhsOverride: document.getElementById('nhs-override').checked,
         patientAddress: document.getElementById('patient-address').value.trim(),
             
         // Medication details
@@ -704,12 +1518,17 @@ function getFormData() {
         medicationFormulation: document.getElementById('med-form').value,
         medicationStrength: document.getElementById('med-strength').value.trim(),
         medicationQuantity: document.getElementById('med-quantity').value.trim(),
+        // Specialist and high-risk alerts shown for the medicine, and whether the extra check was ticked
+        medicineAlerts: MedicationManager.getMedicineAlerts(document.getElementById('med-name').value).map(medicineAlert => medicineAlert.name),
+        medicineAlertsChecked: document.getElementById('medicine-alert-checked').checked,
             
         // Number of labels to generate
         numberOfLabels: parseInt(document.getElementById('number-of-labels').value) || 1,
             
         // Dosage instructions
         dosageInstructions: document.getElementById('dosage').value.trim(),
+        // BNF warning labels chosen, kept apart from the free text typed as additional information
+        ...WarningLabelPicker.getState(),
         additionalInformation: document.getElementById('additional-info').value.trim(),
         standardWarning: document.getElementById('standard-warning').checked,
             
@@ -0,0 +1,413 @@
+/**
+ * Downtime Pharmacy Label Generator
+ * Custom Shorthand Module
+ * Lets a site add its own shorthand codes on top of the built-in ones, saved
+ * on this device. A custom code can stand for wording (e.g. "sach" for
+ * "sachet"), for other shorthand (e.g. "wk1" for "1t od 7/7"), or contain
+ * {n} to match any number (e.g. "{n}amp" for "{n} ampoules").
+ *
+ * Codes are exported and imported as a JSON file so one list can be shared
+ * across a department's computers. Built-in codes always win a clash, and
+ * clashes are listed in the modal and on shorthand-reference.html.
+ */
+
+const CustomShorthand = {
+    // Key the custom codes are saved under on this device
+    STORAGE_KEY: 'customShorthandCodes',
+
+    // Source the codes are registered with in ShorthandCodes
+    SOURCE: 'custom',
+
+    EXPORT_FILENAME: 'custom-shorthand-codes.json',
+
+    MAX_CODE_LENGTH: 20,
+
+    // Custom codes as saved: { code, type, text } or { code, macro }
+    codes: [],
+
+    /**
+     * Load the custom codes saved on this device and register them.
+     * Sets up the custom codes modal if the page has one.
+     */
+    init() {
+        this.codes = this._load();
+        this._registerAll();
+
+        const button = document.getElementById('custom-codes-btn');
+        if (button) {
+            button.addEventListener('click', () => this.showModal());
+            this._initModal();
+        }
+    },
+
+    /**
+     * Check a list of custom codes before it is saved
+     * @param {Array<Object>} codes - Custom code definitions
+     * @returns {Array<string>} - Problems found; empty if the list can be saved
+     */
+    validate(codes) {
+        if (!Array.isArray(codes)) {
+            return ['The file does not contain a list of custom codes.'];
+        }
+
+        const errors = [];
+        const seen = new Set();
+
+        codes.forEach((definition, index) => {
+            const label = definition && typeof definition.code === 'string' && definition.code.trim()
+                ? `"${definition.code.trim()}"`
+                : `Code ${index + 1}`;
+
+            const problem = this._validateDefinition(definition);
+            if (problem) {
+                errors.push(`${label}: ${problem}`);
+                return;
+            }
+
+            const key = definition.code.trim().toLowerCase();
+            if (seen.has(key)) {
+                errors.push(`${label}: added more than once.`);
+            }
+            seen.add(key);
+        });
+
+        return errors;
+    },
+
+    /**
+     * Replace the custom codes, if they are all valid
+     * @param {Array<Object>} codes - Custom code definitions
+     * @returns {Array<string>} - Problems found; empty if the codes were saved
+     */
+    setCodes(codes) {
+        const errors = this.validate(codes);
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        this.codes = codes.map(definition => this._tidy(definition));
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ custom_shorthand_codes: this.codes }));
+        this._registerAll();
+        return [];
+    },
+
+    /**
+     * Add one custom code
+     * @param {Object} definition - { code, type, text } or { code, macro }
+     * @returns {Array<string>} - Problems found; empty if the code was added
+     */
+    add(definition) {
+        return this.setCodes(this.codes.concat([definition]));
+    },
+
+    /**
+     * Remove one custom code
+     * @param {string} code - The code to remove
+     */
+    remove(code) {
+        const key = code.toLowerCase();
+        this.setCodes(this.codes.filter(definition => definition.code.toLowerCase() !== key));
+    },
+
+    /**
+     * Download the custom codes as a JSON file
+     */
+    exportJSON() {
+        const json = JSON.stringify({ custom_shorthand_codes: this.codes }, null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.EXPORT_FILENAME;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Some browsers cancel the download if the file is released straight after the click
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Replace the custom codes with those in an exported JSON file
+     * @param {File} file - File chosen by the user
+     * @returns {Promise<Array<string>>} - Problems found; empty if the codes were imported
+     */
+    async importJSON(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            return [`${file.name} is not a custom codes file.`];
+        }
+
+        const codes = data && !Array.isArray(data) ? data.custom_shorthand_codes : data;
+        const errors = this.validate(codes);
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        if (this.codes.length > 0 &&
+            !confirm(`Replace the ${this.codes.length} custom code(s) on this computer with the ${codes.length} in ${file.name}?`)) {
+            return [];
+        }
+
+        return this.setCodes(codes);
+    },
+
+    /**
+     * Show the custom codes modal
+     */
+    showModal() {
+        this._setError([]);
+        this._renderModal();
+        document.getElementById('custom-codes-modal').classList.add('visible');
+        document.getElementById('custom-code').focus();
+    },
+
+    /**
+     * Read the custom codes saved on this device. A damaged copy is ignored
+     * rather than stopping the app from loading.
+     * @private
+     * @returns {Array<Object>} - Saved custom codes
+     */
+    _load() {
+        const saved = localStorage.getItem(this.STORAGE_KEY);
+        if (!saved) return [];
+
+        try {
+            const codes = JSON.parse(saved).custom_shorthand_codes;
+            const errors = this.validate(codes);
+            if (errors.length > 0) {
+                console.error('Ignoring saved custom shorthand codes:', errors);
+                return [];
+            }
+            return codes.map(definition => this._tidy(definition));
+        } catch (error) {
+            console.error('Error reading saved custom shorthand codes:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Put the custom codes into ShorthandCodes in place of any registered before,
+     * and recheck the shorthand box
+     * @private
+     */
+    _registerAll() {
+        ShorthandCodes.removeSource(this.SOURCE);
+        this.codes.forEach(definition => {
+            const entry = definition.macro
+                ? { code: definition.code, type: 'macro', macro: definition.macro }
+                : definition;
+            ShorthandCodes.register(entry, this.SOURCE);
+        });
+
+        if (typeof ShorthandCheck !== 'undefined') {
+            ShorthandCheck.update();
+        }
+    },
+
+    /**
+     * What is wrong with one custom code, if anything
+     * @private
+     * @param {Object} definition - Custom code definition
+     * @returns {string|null} - Problem found, or null if the code is valid
+     */
+    _validateDefinition(definition) {
+        if (!definition || typeof definition.code !== 'string' || !definition.code.trim()) {
+            return 'the code is missing.';
+        }
+
+        const code = definition.code.trim();
+        if (code.length > this.MAX_CODE_LENGTH) {
+            return `codes can be at most ${this.MAX_CODE_LENGTH} characters.`;
+        }
+        // Spaces, commas, semicolons and hyphens separate codes in the shorthand box
+        if (/[\s,;-]/.test(code)) {
+            return 'codes cannot contain spaces, commas, semicolons or hyphens.';
+        }
+
+        const numberCount = code.split('{n}').length - 1;
+        if (/[{}]/.test(code.split('{n}').join(''))) {
+            return 'the only place holder a code can contain is {n}.';
+        }
+        if (numberCount > 1) {
+            return 'a code can only contain {n} once.';
+        }
+        if (code === '{n}') {
+            return 'a code needs more than {n}, or it would match every number.';
+        }
+
+        const wording = typeof definition.macro === 'string' ? definition.macro : definition.text;
+        if (typeof wording !== 'string' || !wording.trim()) {
+            return typeof definition.macro === 'string' ? 'the shorthand it stands for is missing.' : 'the wording is missing.';
+        }
+        if (numberCount === 0 && /\{n(_words)?\}/.test(wording)) {
+            return 'the wording uses {n} but the code does not contain {n}.';
+        }
+
+        if (typeof definition.macro !== 'string' && !ShorthandCodes.codeGroups[definition.type]) {
+            return `the type must be one of: ${Object.keys(ShorthandCodes.codeGroups).join(', ')}.`;
+        }
+
+        return null;
+    },
+
+    /**
+     * A custom code with only the fields that are saved, trimmed
+     * @private
+     * @param {Object} definition - A valid custom code definition
+     * @returns {Object} - { code, type, text } or { code, macro }
+     */
+    _tidy(definition) {
+        if (typeof definition.macro === 'string') {
+            return { code: definition.code.trim(), macro: definition.macro.trim() };
+        }
+        return { code: definition.code.trim(), type: definition.type, text: definition.text.trim() };
+    },
+
+    /**
+     * Set up the add form and buttons in the custom codes modal
+     * @private
+     */
+    _initModal() {
+        const kindSelect = document.getElementById('custom-code-kind');
+        const typeSelect = document.getElementById('custom-code-type');
+        const fileInput = document.getElementById('custom-codes-file');
+
+        for (const [type, name] of Object.entries(ShorthandCodes.groupNames)) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = name;
+            typeSelect.appendChild(option);
+        }
+
+        kindSelect.addEventListener('change', () => this._updateForm());
+        this._updateForm();
+
+        document.getElementById('custom-code-add').addEventListener('click', () => this._addFromForm());
+        ['custom-code', 'custom-code-text'].forEach(id => {
+            document.getElementById(id).addEventListener('keydown', event => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    this._addFromForm();
+                }
+            });
+        });
+
+        document.getElementById('custom-codes-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            this._setError(await this.importJSON(file));
+            this._renderModal();
+        });
+
+        document.getElementById('custom-codes-export').addEventListener('click', () => this.exportJSON());
+        document.getElementById('custom-codes-close').addEventListener('click', () => {
+            document.getElementById('custom-codes-modal').classList.remove('visible');
+        });
+    },
+
+    /**
+     * Show the type choice only for codes that stand for wording
+     * @private
+     */
+    _updateForm() {
+        const isMacro = document.getElementById('custom-code-kind').value === 'macro';
+        document.getElementById('custom-code-type-row').classList.toggle('hidden', isMacro);
+        document.getElementById('custom-code-text-label').textContent = isMacro ? 'Shorthand:' : 'Wording:';
+        document.getElementById('custom-code-text').placeholder = isMacro ? 'e.g., 1t od 7/7' : 'e.g., {n} ampoules';
+    },
+
+    /**
+     * Add the code typed into the modal's form
+     * @private
+     */
+    _addFromForm() {
+        const codeInput = document.getElementById('custom-code');
+        const textInput = document.getElementById('custom-code-text');
+        const definition = document.getElementById('custom-code-kind').value === 'macro'
+            ? { code: codeInput.value, macro: textInput.value }
+            : { code: codeInput.value, type: document.getElementById('custom-code-type').value, text: textInput.value };
+
+        const errors = this.add(definition);
+        this._setError(errors);
+        if (errors.length > 0) return;
+
+        codeInput.value = '';
+        textInput.value = '';
+        this._renderModal();
+        codeInput.focus();
+    },
+
+    /**
+     * Show problems found in the modal
+     * @private
+     * @param {Array<string>} errors - Problems to show; empty to clear
+     */
+    _setError(errors) {
+        document.getElementById('custom-codes-error').textContent = errors.join(' ');
+    },
+
+    /**
+     * Redraw the list of custom codes and their clashes
+     * @private
+     */
+    _renderModal() {
+        const list = document.getElementById('custom-codes-list');
+        list.innerHTML = '';
+
+        if (this.codes.length === 0) {
+            const none = document.createElement('p');
+            none.className = 'custom-codes-empty';
+            none.textContent = 'No custom codes on this computer.';
+            list.appendChild(none);
+        }
+
+        this.codes.forEach(definition => {
+            const item = document.createElement('div');
+            item.className = 'custom-code-item';
+
+            const code = document.createElement('span');
+            code.className = 'shorthand-code';
+            code.textContent = definition.code;
+            item.appendChild(code);
+
+            const description = document.createElement('span');
+            description.className = 'custom-code-description';
+            description.textContent = definition.macro
+                ? `same as "${definition.macro}"`
+                : `${definition.text} (${ShorthandCodes.groupNames[definition.type].toLowerCase()})`;
+            item.appendChild(description);
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'secondary-btn';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => {
+                this.remove(definition.code);
+                this._renderModal();
+            });
+            item.appendChild(removeButton);
+
+            list.appendChild(item);
+        });
+
+        const clashes = document.getElementById('custom-codes-collisions');
+        clashes.innerHTML = '';
+        ShorthandCodes.getCollisionReport()
+            .filter(entry => entry.source === this.SOURCE)
+            .forEach(entry => {
+                const clash = document.createElement('p');
+                const code = document.createElement('strong');
+                code.textContent = entry.code;
+                clash.appendChild(code);
+                clash.appendChild(document.createTextNode(` - ${entry.message}`));
+                clashes.appendChild(clash);
+            });
+
+        document.getElementById('custom-codes-export').disabled = this.codes.length === 0;
+    }
+};
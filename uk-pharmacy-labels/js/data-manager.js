@@ -1,41 +1,153 @@
 /**
  * UK Pharmacy Back-Up Label Generator
  * Data Manager Module
- * Provides dispensary location data for label generation
- * 
+ * Provides dispensary location data for label generation, and the standard
+ * warnings printed on medication labels, loaded from data/dispensaries.json
+ *
  * Note: This application intentionally does NOT store any patient data,
  * prescription history, or personally identifiable information.
- * All label data exists only in memory during the session.
+ * All label data exists only in memory during the session. The one exception
+ * is optional queue recovery (js/queue-recovery.js), which the user has to
+ * switch on: it keeps the current queue on this device encrypted with their
+ * passphrase, and deletes it on "New Patient", after printing, or when it expires.
  */
 
 const DataManager = {
+    dispensaries: [],
+
+    // Standard warnings used by dispensaries that don't set their own:
+    // { all: [...], formulation_categories: { 'topical skin': [...] } }
+    standardWarnings: {},
+
+    // Header logo from index.html, shown for dispensaries without their own logo
+    _defaultLogo: null,
+
+    /**
+     * Load the dispensary list and fill the Dispensary Location dropdown
+     */
+    async init() {
+        try {
+            const response = await fetch('data/dispensaries.json');
+            if (!response.ok) {
+                throw new Error(`Failed to load data/dispensaries.json: ${response.statusText}`);
+            }
+            const data = await response.json();
+            this.dispensaries = data.dispensaries || [];
+            this.standardWarnings = data.standard_warnings || {};
+            console.log('Loaded dispensaries:', this.dispensaries.length);
+        } catch (error) {
+            console.error('Error loading dispensary data:', error);
+            this.dispensaries = [];
+        }
+
+        this.populateSelect();
+
+        if (this.dispensaries.length === 0) {
+            alert('The list of dispensary locations could not be loaded, so labels cannot be printed. Please reload the page.');
+        }
+    },
+
+    /**
+     * Fill the Dispensary Location dropdown from the loaded dispensaries
+     */
+    populateSelect() {
+        const select = document.getElementById('dispensary-location');
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.dispensaries.forEach(dispensary => {
+            const option = document.createElement('option');
+            option.value = dispensary.id;
+            option.textContent = dispensary.name;
+            select.appendChild(option);
+        });
+
+        this.updateHeaderLogo(select.value);
+    },
+
+    /**
+     * Check whether a location ID is in the dispensary list
+     * @param {string} locationId - The selected location ID
+     * @returns {boolean} - True if the dispensary exists
+     */
+    hasDispensary(locationId) {
+        return this.dispensaries.some(dispensary => dispensary.id === locationId);
+    },
+
     /**
      * Get dispensary information based on selected location
      * @param {string} locationId - The selected location ID
      * @returns {Object} Dispensary information
+     * @throws {Error} If the location is not in the dispensary list, so a label is
+     *                 never printed with another hospital's address
      */
     getDispensaryInfo(locationId) {
-        const locations = {
-            'south-tyneside': {
-                name: 'South Tyneside District Hospital',
-                address: 'Harton Lane, South Shields',
-                postcode: 'NE34 0PL',
-                phone: '0191 4041058'
-            },
-            'sunderland-royal': {
-                name: 'Sunderland Royal Hospital',
-                address: 'Kayll Road, Sunderland',
-                postcode: 'SR4 7TP',
-                phone: '0191 5656256'
-            },
-            'sunderland-eye': {
-                name: 'Sunderland Eye Infirmary',
-                address: 'Queen Alexandra Road, Sunderland',
-                postcode: 'SR2 9HP',
-                phone: '0191 5656256'
-            }
-        };
-        
-        return locations[locationId] || locations['south-tyneside'];
+        const dispensary = this.dispensaries.find(d => d.id === locationId);
+        if (!dispensary) {
+            throw new Error(`Unknown dispensary location: ${locationId || '(none selected)'}`);
+        }
+        return dispensary;
+    },
+
+    /**
+     * The pharmacy line printed at the bottom of each medication label.
+     * Uses the dispensary's short label footer if it has one, otherwise
+     * its name, address and phone number.
+     * @param {Object} dispensary - Dispensary information
+     * @returns {string} - Footer text
+     */
+    getLabelFooter(dispensary) {
+        if (dispensary.label_footer) {
+            return dispensary.label_footer;
+        }
+        return `${dispensary.name}, ${dispensary.address}, Tel: ${dispensary.phone}`;
+    },
+
+    /**
+     * The standard warnings for a medication label, e.g. "Keep out of the reach
+     * and sight of children" on every label and "For external use only" for
+     * topical preparations. A dispensary can set its own "standard_warnings";
+     * anything it leaves out comes from the defaults in dispensaries.json.
+     * @param {string} locationId - The selected location ID
+     * @param {string} formulationCategory - Category from MedicationManager.standardizeFormulation
+     * @returns {Array} - Warning texts, each once
+     */
+    getStandardWarnings(locationId, formulationCategory) {
+        const dispensary = this.dispensaries.find(d => d.id === locationId);
+        const own = (dispensary && dispensary.standard_warnings) || {};
+        const category = (formulationCategory || '').toLowerCase();
+
+        const all = own.all || this.standardWarnings.all || [];
+        const forCategory = (own.formulation_categories || {})[category] ||
+            (this.standardWarnings.formulation_categories || {})[category] || [];
+        return [...new Set([...all, ...forCategory])];
+    },
+
+    /**
+     * Language the dispensary prints BNF warning labels in, from its
+     * "warning_language", e.g. "cy+en" for Welsh then English
+     * @param {string} locationId - The selected location ID
+     * @returns {string} - Language code, "en" if the dispensary doesn't set one
+     */
+    getWarningLanguage(locationId) {
+        const dispensary = this.dispensaries.find(d => d.id === locationId);
+        return (dispensary && dispensary.warning_language) || 'en';
+    },
+
+    /**
+     * Show the selected dispensary's logo in the page header, or the
+     * standard logo if it doesn't have one
+     * @param {string} locationId - The selected location ID
+     */
+    updateHeaderLogo(locationId) {
+        const logo = document.querySelector('.nhs-logo');
+        if (!logo) return;
+
+        if (this._defaultLogo === null) {
+            this._defaultLogo = logo.getAttribute('src');
+        }
+
+        const dispensary = this.dispensaries.find(d => d.id === locationId);
+        logo.setAttribute('src', (dispensary && dispensary.logo) || this._defaultLogo);
     }
 };
@@ -0,0 +1,561 @@
+/**
+ * Downtime Pharmacy Label Generator
+ * Dosage Parser Module
+ *
+ * Reads dosage shorthand (e.g. "1-2t qds prn 7/7 wf") into a structured
+ * instruction - dose, route, frequency, timing, "when required" reason,
+ * duration and extra instructions - and writes that instruction out as a
+ * full sentence ("Take ONE to TWO tablets FOUR times a day when required
+ * for SEVEN days with food").
+ *
+ * Reading and writing are kept separate so the structured instruction can
+ * also be used to check the shorthand or work out quantities.
+ *
+ * "then" splits a reducing or changing course into steps, e.g.
+ * "8t od 5/7 then 6t od 5/7" is written out one sentence per step.
+ * Doses given at different times of day ("2t mane 1t nocte") are written
+ * as one list: "Take TWO tablets in the MORNING and ONE tablet at NIGHT".
+ */
+
+const DosageParser = {
+    // How many codes standing for other shorthand can be nested inside each other
+    MAX_MACRO_DEPTH: 5,
+
+    // Starts the sentence for each step after the first in a course, e.g. "Then take SIX tablets..."
+    STEP_PREFIX: 'Then ',
+
+    /**
+     * Read shorthand into a structured dosage instruction.
+     * A new dose (e.g. the "2t" in "1t mane, 2t nocte") starts a new clause.
+     * Words that aren't shorthand codes are kept, in the order typed, as notes.
+     * So are codes that depend on the formulation (e.g. "left") when the
+     * formulation doesn't say which one is meant. Each note says why it is one
+     * ('flag'), so render() can mark words it couldn't read.
+     * The formulation also sets the wording of the dose, e.g. "1d" is
+     * "Instil ONE drop" for eye drops and "1t" is "Insert ONE pessary" for a
+     * vaginal tablet.
+     * Codes that stand for other shorthand are read as the shorthand they stand for.
+     * "then" starts a new clause that begins the next step of the course.
+     * Where a step gives times of day, each time needs its own dose, given once,
+     * and each dose its own time - any that don't are listed in 'problems', with
+     * what to change. So are numbers written in a way known to cause errors,
+     * e.g. ".5t" or "5.0ml", and times that aren't 24-hour clock times ("25:00", "0800").
+     * @param {string} shorthand - Shorthand typed by the user
+     * @param {string} [formulationCategory] - Category from MedicationManager.standardizeFormulation
+     * @returns {Object} - { clauses: [clause], unrecognised: [string], ambiguous: [{ token, options, reason }],
+     *                     problems: [{ token, message }] }
+     *                     where each clause is { dose, routes, sites, frequencies, timings, prn,
+     *                     durations, instructions, notes, afterSeparator, startsStep }
+     *                     and each note is { text, afterSeparator, flag }, flag being
+     *                     'unrecognised', 'ambiguous', 'problem' or null (a word in a custom code)
+     */
+    parse(shorthand, formulationCategory) {
+        const model = { clauses: [], unrecognised: [], ambiguous: [], problems: [] };
+        const context = ShorthandCodes.getFormulationContext(formulationCategory);
+        let clause = this._newClause(false);
+        model.clauses.push(clause);
+
+        // What the last word was added to, so following words can join it
+        let lastSlot = null;
+
+        const addToken = (token, depth) => {
+            const match = ShorthandCodes.classify(token.text, context);
+
+            // A code standing for other shorthand (e.g. a site's custom "wk1" for "1t od 7/7")
+            // is read as if its expansion had been typed, keeping any comma typed before it.
+            // The depth limit stops codes that refer to each other looping forever.
+            if (match && match.type === 'macro' && depth < this.MAX_MACRO_DEPTH) {
+                this.tokenize(match.macro).forEach((expanded, index) => {
+                    addToken({
+                        text: expanded.text,
+                        afterSeparator: index === 0 ? token.afterSeparator : expanded.afterSeparator
+                    }, depth + 1);
+                });
+                return;
+            }
+
+            if (!match || match.ambiguous || match.type === 'macro') {
+                // Words inside a custom code's expansion were chosen when the code was
+                // set up (and are shown in the collision report), so aren't flagged here -
+                // unless the code went round in a loop
+                let flag = null;
+                if (match && match.ambiguous) {
+                    model.ambiguous.push({ token: token.text, options: match.options, reason: match.reason });
+                    flag = 'ambiguous';
+                } else if (depth === 0 || match) {
+                    const problem = ShorthandCodes.getTimeProblem(token.text) ||
+                        ShorthandCodes.getNumberProblem(token.text) ||
+                        ShorthandCodes.getWordsProblem(token.text);
+                    if (problem) {
+                        model.problems.push({ token: token.text, message: problem });
+                        flag = 'problem';
+                    } else {
+                        model.unrecognised.push(token.text);
+                        flag = 'unrecognised';
+                    }
+                }
+
+                // Words straight after "prn" are the reason, e.g. "prn pain" -
+                // but not a code that can't be read, which would look like part of the reason
+                const isUnread = flag === 'ambiguous' || flag === 'problem';
+                if ((lastSlot === 'prn' || lastSlot === 'prnCondition') && !token.afterSeparator && !isUnread) {
+                    clause.prn.condition = clause.prn.condition
+                        ? `${clause.prn.condition} ${token.text}`
+                        : token.text;
+                    lastSlot = 'prnCondition';
+                    return;
+                }
+
+                // Keep neighbouring words together as one note, if they are notes for the same reason
+                const lastNote = clause.notes[clause.notes.length - 1];
+                if (lastSlot === 'note' && lastNote && !token.afterSeparator && lastNote.flag === flag) {
+                    lastNote.text += ` ${token.text}`;
+                } else {
+                    clause.notes.push({ text: token.text, afterSeparator: token.afterSeparator, flag });
+                }
+                lastSlot = 'note';
+                return;
+            }
+
+            switch (match.type) {
+                case 'sequence':
+                    // Nothing typed yet in this clause (e.g. "then" at the start) - it becomes the step
+                    if (!this._isEmptyClause(clause)) {
+                        clause = this._newClause(true);
+                        model.clauses.push(clause);
+                    }
+                    clause.startsStep = true;
+                    break;
+                case 'dose':
+                    if (clause.dose) {
+                        clause = this._newClause(token.afterSeparator);
+                        model.clauses.push(clause);
+                    }
+                    clause.dose = match.dose
+                        ? Object.assign({ code: match.code }, ShorthandCodes.adaptDose(match.dose, formulationCategory))
+                        : { code: match.code, text: match.text };
+                    break;
+                case 'prn':
+                    clause.prn = { code: match.code, text: match.text, condition: '' };
+                    break;
+                case 'frequency':
+                    clause.frequencies.push(match);
+                    break;
+                case 'duration':
+                    clause.durations.push(match);
+                    break;
+                case 'route':
+                    clause.routes.push(match);
+                    break;
+                case 'site':
+                    clause.sites.push(match);
+                    break;
+                case 'timing':
+                    clause.timings.push(match);
+                    break;
+                default:
+                    clause.instructions.push(match);
+            }
+            lastSlot = match.type;
+        };
+
+        this.tokenize(shorthand || '').forEach(token => addToken(token, 0));
+
+        this.getSteps(model).forEach(step => this._checkTimeSlots(step, model));
+
+        return model;
+    },
+
+    /**
+     * Write a structured dosage instruction out as a sentence, or one sentence
+     * per step for a course in steps ("... for FIVE days. Then take ...").
+     * Each step is its own sentence so split labels can break between steps.
+     * Codes that can't be read as typed (".5t", or "left" with no formulation)
+     * are marked where they appear, e.g. "ONCE a day [.5t?]", so the text never
+     * passes for a complete instruction.
+     * @param {Object} model - Instruction from parse()
+     * @param {Object} [options] - { markUnrecognised: true } to mark words that
+     *                             aren't codes too, for previews before the
+     *                             dispenser has decided whether to keep them
+     * @returns {string} - Full dosage instructions
+     */
+    render(model, options = {}) {
+        return this.getSteps(model)
+            .map(step => this._renderStep(step, options))
+            .filter(text => text)
+            .map((text, index) => {
+                if (index === 0) return text;
+                // "Take" becomes "take" after "Then", but words in capitals (e.g. "IMMEDIATELY") stay as they are
+                return this.STEP_PREFIX + (/^[A-Z][a-z]/.test(text) ? text.charAt(0).toLowerCase() + text.slice(1) : text);
+            })
+            .join('. ');
+    },
+
+    /**
+     * Group the clauses of an instruction into the steps of the course
+     * @param {Object} model - Instruction from parse()
+     * @returns {Array<Array<Object>>} - Clauses in each step; one step unless "then" was used
+     */
+    getSteps(model) {
+        const steps = [];
+        model.clauses.forEach(clause => {
+            if (clause.startsStep || steps.length === 0) {
+                steps.push([]);
+            }
+            steps[steps.length - 1].push(clause);
+        });
+        return steps;
+    },
+
+    /**
+     * Work out how much is needed for the whole course: each dose times the
+     * doses a day times the number of days, added up over every step.
+     * A range (e.g. "1-2t") counts the higher dose, part doses are rounded up
+     * for each clause (e.g. "0.5t od 7/7" needs 4 tablets), and a one-off
+     * dose such as "stat" needs no duration.
+     * @param {Object} model - Instruction from parse()
+     * @returns {Object} - { quantity, unit, plural, usesRangeMaximum }, or
+     *                     { quantity: null, reason } if it can't be worked out
+     */
+    getTotalQuantity(model) {
+        let quantity = 0;
+        let plural = null;
+        let unit = null;
+        let usesRangeMaximum = false;
+
+        for (const step of this.getSteps(model)) {
+            // Clauses that are only notes or instructions don't add to the total
+            const dosing = step.filter(clause => clause.dose || clause.frequencies.length > 0);
+
+            for (const clause of dosing) {
+                const dose = clause.dose;
+                if (!dose || !dose.unit || dose.placeholder) {
+                    return { quantity: null, reason: 'Every step needs a dose with a number and a unit (e.g. 2t).' };
+                }
+                if (dose.strength) {
+                    return {
+                        quantity: null,
+                        reason: `The dose is an amount of the medicine (${dose.plural}), not a number of ` +
+                            'tablets, capsules etc., so the quantity depends on the strength supplied.'
+                    };
+                }
+                if (plural && dose.plural !== plural) {
+                    return { quantity: null, reason: 'The doses are not all in the same unit.' };
+                }
+                unit = dose.unit;
+                plural = dose.plural;
+
+                const doses = this._getClauseDoses(clause, step);
+                if (doses === null) {
+                    return {
+                        quantity: null,
+                        reason: 'Every step needs a frequency that gives a number of doses a day (e.g. bd) ' +
+                            'and a duration in days or weeks (e.g. 7/7 or 2/52).'
+                    };
+                }
+
+                if (dose.max !== null) usesRangeMaximum = true;
+                const amount = dose.max !== null ? dose.max : dose.min;
+                // Rounded to avoid floating point noise (e.g. 1/7 × 28) before rounding up
+                quantity += Math.ceil(Math.round(amount * doses * 1000) / 1000);
+            }
+        }
+
+        if (!unit) {
+            return { quantity: null, reason: 'There is no dose to add up.' };
+        }
+        return { quantity, unit, plural, usesRangeMaximum };
+    },
+
+    /**
+     * How many times a clause's dose is taken over its step
+     * @private
+     * @param {Object} clause - Clause with a dose
+     * @param {Array<Object>} step - The step the clause is in, for its duration
+     * @returns {number|null} - Number of doses, or null if it can't be worked out
+     */
+    _getClauseDoses(clause, step) {
+        // A time of day such as "mane" counts as once a day when there's no frequency
+        const frequencies = clause.frequencies.length > 0
+            ? clause.frequencies
+            : clause.timings.filter(timing => ShorthandCodes.isTimeSlot(timing));
+        const codes = frequencies.map(frequency => frequency.code);
+        if (codes.length === 0) return null;
+
+        if (codes.every(code => code in ShorthandCodes.totalDoses)) {
+            return codes.reduce((total, code) => total + ShorthandCodes.totalDoses[code], 0);
+        }
+
+        const days = this._getStepDays(step);
+        if (days === null || frequencies.some(frequency => frequency.dosesPerDay === null)) {
+            return null;
+        }
+        return frequencies.reduce((total, frequency) => total + frequency.dosesPerDay, 0) * days;
+    },
+
+    /**
+     * Times of day given in a clause, e.g. "mane" or "14:00"
+     * @private
+     * @param {Object} clause - Clause from parse()
+     * @returns {Array<Object>} - Frequencies and timings that are single times of day
+     */
+    _getTimeSlots(clause) {
+        return clause.frequencies.concat(clause.timings).filter(match => ShorthandCodes.isTimeSlot(match));
+    },
+
+    /**
+     * Whether a clause is one dose at one time of day, e.g. "2t mane"
+     * @private
+     * @param {Object} clause - Clause from parse()
+     * @returns {boolean} - True for a dose-time pair
+     */
+    _isDoseTimePair(clause) {
+        return Boolean(clause.dose) && this._getTimeSlots(clause).length === 1;
+    },
+
+    /**
+     * In a step that gives times of day, check every time has its own dose and
+     * is given once, and (when there are several doses) every dose has its own
+     * time, adding any that don't to model.problems.
+     * "2t mane nocte" would otherwise print "Take TWO tablets in the MORNING at
+     * NIGHT", which doesn't say whether TWO is the dose at each time or in all.
+     * @private
+     * @param {Array<Object>} step - Clauses in the step
+     * @param {Object} model - Instruction being read
+     */
+    _checkTimeSlots(step, model) {
+        const doses = step.filter(clause => clause.dose);
+        if (doses.length === 0 || !step.some(clause => this._getTimeSlots(clause).length > 0)) return;
+
+        // Times already given a dose, by their wording so "mane" and "om" count as the same time
+        const dosedTimes = new Set();
+        step.forEach(clause => {
+            const slots = this._getTimeSlots(clause);
+            if (clause.dose && doses.length > 1 && clause.frequencies.length === 0 && slots.length === 0) {
+                model.problems.push({
+                    token: clause.dose.code,
+                    message: `needs a time of day after it, e.g. "${clause.dose.code} nocte"`
+                });
+                return;
+            }
+            slots.forEach((slot, index) => {
+                // The first time in a clause with a dose is that dose's time
+                if (!clause.dose || index > 0) {
+                    model.problems.push({
+                        token: slot.code,
+                        message: `needs its own dose before it, e.g. "1t ${slot.code}"`
+                    });
+                } else if (dosedTimes.has(slot.text)) {
+                    model.problems.push({
+                        token: slot.code,
+                        message: 'already has a dose - give each time of day once, with the whole dose for that time'
+                    });
+                }
+                dosedTimes.add(slot.text);
+            });
+        });
+    },
+
+    /**
+     * Split shorthand into words, noting which ones came after a comma or semicolon
+     * @param {string} shorthand - Shorthand typed by the user
+     * @returns {Array<Object>} - [{ text, afterSeparator }]
+     */
+    tokenize(shorthand) {
+        // Hyphens used as separators between codes become spaces ("1t-bd-7/7" → "1t bd 7/7"),
+        // but a hyphen between two numbers is a range and is kept ("1-2t")
+        const spaced = shorthand
+            .replace(/([a-z0-9])-(?=[a-z])/gi, '$1 ')
+            .replace(/([a-z])-(?=[0-9])/gi, '$1 ');
+
+        const tokens = [];
+        let afterSeparator = false;
+
+        spaced.split(/([,;])|\s+/).forEach(part => {
+            if (!part) return;
+            if (part === ',' || part === ';') {
+                afterSeparator = true;
+                return;
+            }
+            tokens.push({ text: part, afterSeparator });
+            afterSeparator = false;
+        });
+
+        return tokens;
+    },
+
+    /**
+     * Number of days a step lasts, from its duration (e.g. "5/7")
+     * @private
+     * @param {Array<Object>} step - Clauses in the step
+     * @returns {number|null} - Days, or null if the step has no duration that can be counted in days
+     */
+    _getStepDays(step) {
+        const durations = step.flatMap(clause => clause.durations);
+        if (durations.length !== 1 || !durations[0].duration) return null;
+
+        const duration = durations[0].duration;
+        const daysPerUnit = ShorthandCodes.durationDays[duration.unit];
+        return daysPerUnit ? duration.value * daysPerUnit : null;
+    },
+
+    /**
+     * Write out the clauses of one step, joined as they were typed
+     * @private
+     * @param {Array<Object>} step - Clauses in the step
+     * @returns {string} - Step as text
+     */
+    _renderStep(step, options) {
+        // Doses at different times of day are listed together: "Take TWO tablets in the
+        // MORNING, ONE tablet at 2pm and ONE tablet at NIGHT". A clause only joins the list
+        // if the one before ends at its time (no duration, "when required" etc. in between).
+        const joinsList = step.map((clause, index) => {
+            const previous = step[index - 1];
+            return Boolean(previous) && this._isDoseTimePair(previous) && this._isDoseTimePair(clause) &&
+                !previous.prn && ['durations', 'instructions', 'notes'].every(slot => previous[slot].length === 0);
+        });
+
+        let result = '';
+
+        step.forEach((clause, index) => {
+            const text = this._renderClause(clause, joinsList[index] ? step[index - 1].dose : null, options);
+            if (!text) return;
+
+            if (!result) {
+                result = text;
+            } else if (joinsList[index]) {
+                result += (joinsList[index + 1] ? ', ' : ' and ') + text;
+            } else {
+                result += (clause.afterSeparator ? ', ' : ' ') + text;
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Whether nothing has been added to a clause yet
+     * @private
+     * @param {Object} clause - Clause from _newClause
+     * @returns {boolean} - True if the clause is empty
+     */
+    _isEmptyClause(clause) {
+        return !clause.dose && !clause.prn &&
+            ['routes', 'sites', 'frequencies', 'timings', 'durations', 'instructions', 'notes']
+                .every(slot => clause[slot].length === 0);
+    },
+
+    /**
+     * An empty clause
+     * @private
+     * @param {boolean} afterSeparator - Whether the clause was typed after a comma or semicolon
+     * @returns {Object} - Clause with nothing filled in
+     */
+    _newClause(afterSeparator) {
+        return {
+            dose: null,
+            routes: [],
+            sites: [],
+            frequencies: [],
+            timings: [],
+            prn: null,
+            durations: [],
+            instructions: [],
+            notes: [],
+            afterSeparator,
+            startsStep: false
+        };
+    },
+
+    /**
+     * Write one clause out in the usual label order:
+     * dose, route, site, frequency, timing, when required, duration, instructions
+     * @private
+     * @param {Object} clause - Clause from parse()
+     * @param {Object|null} previousDose - Dose of the clause before, when this one continues
+     *                                     a list of doses at different times
+     * @param {Object} options - Options passed to render()
+     * @returns {string} - Clause as text
+     */
+    _renderClause(clause, previousDose, options) {
+        const parts = [];
+
+        if (clause.dose) {
+            parts.push(previousDose ? this._renderListedDose(clause.dose, previousDose) : this._renderDose(clause.dose));
+            // Where the formulation goes, e.g. "into each nostril", unless the shorthand says
+            if (clause.dose.phrase && clause.routes.length === 0 && clause.sites.length === 0) {
+                parts.push(clause.dose.phrase);
+            }
+        }
+
+        [clause.routes, clause.sites, clause.frequencies, clause.timings].forEach(slot => {
+            slot.forEach(part => parts.push(part.text));
+        });
+
+        if (clause.prn) {
+            parts.push(this._renderPrn(clause.prn));
+        }
+
+        [clause.durations, clause.instructions].forEach(slot => {
+            slot.forEach(part => parts.push(part.text));
+        });
+
+        let text = parts.join(' ');
+        clause.notes.forEach(note => {
+            const isUnread = note.flag === 'ambiguous' || note.flag === 'problem' ||
+                (note.flag === 'unrecognised' && options.markUnrecognised);
+            const noteText = isUnread ? `[${note.text}?]` : note.text;
+            if (!text) {
+                text = noteText;
+            } else {
+                text += (note.afterSeparator ? ', ' : ' ') + noteText;
+            }
+        });
+
+        return text;
+    },
+
+    /**
+     * A dose written out in full, e.g. "Take TWO tablets"
+     * @private
+     * @param {Object} dose - The clause's dose
+     * @returns {string} - Dose as text
+     */
+    _renderDose(dose) {
+        return dose.text || ShorthandCodes.formatDose(dose);
+    },
+
+    /**
+     * A dose later in a list of doses at different times: without the verb if
+     * it is the same as the dose before ("and ONE tablet at NIGHT"), otherwise
+     * with the verb in lower case ("and apply ONE patch at NIGHT")
+     * @private
+     * @param {Object} dose - The clause's dose
+     * @param {Object} previousDose - The dose before it in the list
+     * @returns {string} - Dose as text
+     */
+    _renderListedDose(dose, previousDose) {
+        const text = this._renderDose(dose);
+        if (!dose.text && dose.verb === previousDose.verb) {
+            return ShorthandCodes.formatDose(Object.assign({}, dose, { verb: '' })).trim();
+        }
+        return /^[A-Z][a-z]/.test(text) ? text.charAt(0).toLowerCase() + text.slice(1) : text;
+    },
+
+    /**
+     * "when required", with the reason if one was given
+     * @private
+     * @param {Object} prn - The clause's prn entry
+     * @returns {string} - e.g. "when required for pain"
+     */
+    _renderPrn(prn) {
+        if (!prn.condition) {
+            return prn.text;
+        }
+        // Don't double up words the user already typed, e.g. "prn for pain"
+        if (/^(for|if|to|when|with)\b/i.test(prn.condition)) {
+            return `${prn.text} ${prn.condition}`;
+        }
+        return `${prn.text} for ${prn.condition}`;
+    }
+};
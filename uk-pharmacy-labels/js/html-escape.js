@@ -0,0 +1,57 @@
+/**
+ * Downtime Pharmacy Label Generator
+ * HTML Escaping Module
+ * Makes typed text safe to place inside the HTML that builds labels and the queue.
+ *
+ * Anything the user types (or pastes) is escaped, so a surname like O'Brien & Sons
+ * or a dosage containing "<" prints exactly as typed instead of being read as markup.
+ * The only HTML allowed through unescaped is markup the app builds itself, and it
+ * has to be marked with trusted() to make that choice visible in the code.
+ */
+
+const HtmlEscape = {
+    // Characters with a special meaning in HTML and their escaped forms
+    _entities: {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    },
+
+    // Marks values created by trusted() so render() can recognise them
+    _trustedMarker: Symbol('trustedHtml'),
+
+    /**
+     * Escape text for use inside HTML content or attribute values
+     * @param {*} value - Text to escape (null and undefined become an empty string)
+     * @returns {string} - Escaped text
+     */
+    text(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).replace(/[&<>"']/g, ch => this._entities[ch]);
+    },
+
+    /**
+     * Mark a fragment of HTML written by the app itself (never user input)
+     * as safe to insert without escaping
+     * @param {string} html - HTML built by the app
+     * @returns {Object} - Trusted HTML wrapper for render()
+     */
+    trusted(html) {
+        return Object.freeze({ [this._trustedMarker]: true, html: String(html) });
+    },
+
+    /**
+     * Turn a value into HTML: trusted fragments are used as they are,
+     * everything else is escaped as text
+     * @param {*} value - Text or a trusted() fragment
+     * @returns {string} - HTML ready to insert
+     */
+    render(value) {
+        if (value && value[this._trustedMarker] === true) {
+            return value.html;
+        }
+        return this.text(value);
+    }
+};
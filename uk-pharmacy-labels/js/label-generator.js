@@ -9,13 +9,6 @@ const LabelGenerator = {
      * @param {string} str - String to convert
      * @returns {string} - Title-cased string
      */
-    // Common pharmaceutical abbreviations that should remain uppercase
-    _pharmaAbbreviations: new Set([
-        'mr', 'sr', 'cr', 'xl', 'la', 'pr', 'er', 'ec', 'gr', 'dr',
-        'sl', 'iv', 'im', 'sc', 'td', 'dpi', 'mdi', 'smi',
-        'pf', 'sf', 'fc', 'bp', 'nac', 'hgc', 'sgc', 'od'
-    ]),
-
     toTitleCase(str) {
         if (!str) return '';
         return str.replace(/\b(\w+)\b/g, (word) => {
@@ -23,8 +16,8 @@ const LabelGenerator = {
             if (word.length >= 2 && word === word.toUpperCase() && /^[A-Z]+$/.test(word)) {
                 return word;
             }
-            // Uppercase known pharmaceutical abbreviations
-            if (this._pharmaAbbreviations.has(word.toLowerCase())) {
+            // Uppercase known pharmaceutical abbreviations (listed in shorthand-codes.js)
+            if (ShorthandCodes.formulationAbbreviations.has(word.toLowerCase())) {
                 return word.toUpperCase();
             }
             return word.charAt(0).toUpperCase() + word.slice(1);
@@ -40,164 +33,127 @@ const LabelGenerator = {
         const dosageTextarea = document.getElementById('dosage');
         
         if (shorthandInput && applyShorthandBtn && dosageTextarea) {
-            // Apply shorthand when button is clicked
-            applyShorthandBtn.addEventListener('click', () => {
-                const translatedText = this.translateShorthand(shorthandInput.value);
+            // Flag unrecognised shorthand as it is typed
+            ShorthandCheck.init(shorthandInput, () => this.getFormulationCategory());
+            
+            // Show the total quantity a course needs, and offer the step-by-step course editor
+            RegimenEditor.init(shorthandInput, () => this.getFormulationCategory());
+            
+            // Dose wording and what "left", "right" etc. mean depend on the formulation, so check again when it changes
+            ['input', 'change'].forEach(eventName => {
+                document.addEventListener(eventName, (e) => {
+                    if (e.target && e.target.id === 'med-form') {
+                        ShorthandCheck.update();
+                    }
+                });
+            });
+            
+            const applyShorthand = () => {
+                // Every unrecognised word must be corrected or kept as typed first
+                if (!ShorthandCheck.confirmBeforeApply(shorthandInput.value)) {
+                    return;
+                }
+                
+                const translatedText = this.translateShorthand(shorthandInput.value, this.getFormulationCategory());
                 if (translatedText) {
                     dosageTextarea.value = translatedText;
                     shorthandInput.value = '';
+                    ShorthandCheck.reset();
+                    // Let listeners such as the label preview know the dosage changed
+                    dosageTextarea.dispatchEvent(new Event('input', { bubbles: true }));
                 }
-            });
+            };
+            
+            // Apply shorthand when button is clicked
+            applyShorthandBtn.addEventListener('click', applyShorthand);
             
             // Apply shorthand when Enter key is pressed in the input field
             shorthandInput.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter') {
                     e.preventDefault();
-                    const translatedText = this.translateShorthand(shorthandInput.value);
-                    if (translatedText) {
-                        dosageTextarea.value = translatedText;
-                        shorthandInput.value = '';
-                    }
+                    applyShorthand();
                 }
             });
         }
     },
     
+    /**
+     * Category of the formulation entered on the form (e.g. "Eye Preparations").
+     * It decides the wording of shorthand doses and what context-dependent
+     * shorthand such as "left" means.
+     * @returns {string} - The category, or '' if none has been entered
+     */
+    getFormulationCategory() {
+        const formInput = document.getElementById('med-form');
+        // Formulation categories aren't available until the medication data has loaded
+        if (!formInput || !MedicationManager.formulations.formulations) {
+            return '';
+        }
+        return MedicationManager.standardizeFormulation(formInput.value);
+    },
+    
     /**
      * Translate shorthand text to full instructions
      * @param {string} shorthand - Shorthand text to translate
-     * @returns {string} - Translated full text instructions
+     * @param {string} [formulationCategory] - Category from getFormulationCategory
+     * @param {Object} [options] - Options for DosageParser.render, e.g. { markUnrecognised: true }
+     * @returns {string} - Translated full text instructions, with any codes it
+     *                     couldn't read marked where they were typed
      */
-    translateShorthand(shorthand) {
+    translateShorthand(shorthand, formulationCategory, options) {
         if (!shorthand || shorthand.trim() === '') {
             return '';
         }
         
-        // Trim for consistent processing
-        const input = shorthand.trim();
-        
-        // Pre-process the input before translation to handle special formats:
-        // 1. Replace hyphens used as separators between codes (e.g., "1t-bd" → "1t bd")
-        // 2. Protect codes that contain meaningful slashes/hyphens (e.g., "7/7" = 7 days)
-        // 3. Handle punctuation like commas that separate different parts of an instruction
-        
-        // Step 1: Temporarily swap duration/range codes (e.g. "7/7", "3/52") with unique
-        // placeholder text so they are not broken apart by the hyphen-removal step below.
-        const preservePatterns = [
-            { pattern: /(\d+)\/7/g, placeholder: '__DAYS__' },     // Days pattern (e.g., 7/7)
-            { pattern: /(\d+)\/52/g, placeholder: '__WEEKS__' },   // Weeks pattern (e.g., 3/52)
-            { pattern: /(\d+)\/12/g, placeholder: '__MONTHS__' },  // Months pattern (e.g., 6/12)
-            { pattern: /(\d+)-(\d+)(t|c|p|d|ml)/g, placeholder: '__RANGE__' } // Dosage ranges (e.g., 1-2t)
-        ];
-        
-        // Create a map to store original values
-        const preservedValues = new Map();
-        let processedInput = input;
-        
-        // Replace special patterns with placeholders to preserve them
-        preservePatterns.forEach(({ pattern, placeholder }, index) => {
-            processedInput = processedInput.replace(pattern, (match) => {
-                const key = `${placeholder}_${index}_${Math.random().toString(36).substr(2, 5)}`;
-                preservedValues.set(key, match);
-                return key;
-            });
-        });
-        
-        // Now replace hyphens between potential codes with spaces
-        // But be careful not to affect negative numbers or other valid uses of hyphens
-        processedInput = processedInput.replace(/([a-z0-9])-((?![0-9])[a-z0-9])/gi, '$1 $2');
-        
-        // Restore preserved values
-        preservedValues.forEach((value, key) => {
-            processedInput = processedInput.replace(key, value);
-        });
-        
-        // Check if we're dealing with a complex multi-part instruction with punctuation
-        // e.g., "1t,bd" or "1t, bd" or "1t,bd,7/7"
-        if (/[,;]/.test(processedInput)) {
-            // Split the input by commas and semicolons, preserving the punctuation
-            const segments = processedInput.split(/([,;])/).filter(s => s.trim());
-            let result = '';
-            
-            // Process each segment and potential code
-            for (let i = 0; i < segments.length; i++) {
-                const segment = segments[i].trim();
-                
-                // Skip empty segments and isolated punctuation
-                if (!segment || segment === ',' || segment === ';') {
-                    continue;
-                }
-                
-                // Try to translate the segment
-                const translated = this._translateSingleComponent(segment);
-                
-                // Add to result with appropriate spacing and punctuation
-                if (i > 0 && segments[i-1] && (segments[i-1] === ',' || segments[i-1] === ';')) {
-                    // If the previous segment was punctuation, add it
-                    result += segments[i-1] + ' ' + translated;
-                } else if (result) {
-                    // Otherwise just add with a space
-                    result += ' ' + translated;
-                } else {
-                    // First segment
-                    result = translated;
-                }
-            }
-            
-            return result || input; // Return original if no translation found
-        }
-        
-        // For simpler cases without punctuation, just do the normal translation
-        return this._translateSingleComponent(processedInput);
+        // Read the shorthand into dose, frequency, duration etc., then write it out in full
+        return DosageParser.render(DosageParser.parse(shorthand.trim(), formulationCategory), options);
     },
     
     /**
-     * Helper method to translate a single component of shorthand
-     * @private
-     * @param {string} component - The shorthand component to translate
-     * @returns {string} - Translated component
+     * The text printed in the smaller font under the dosage: the BNF warning
+     * labels in BNF order, then the additional information typed by the
+     * dispenser, then the standard warnings if "Include standard warnings" is ticked
+     * @param {Object} data - Form data
+     * @returns {string} - Text to print, or '' if there is none
      */
-    _translateSingleComponent(component) {
-        // Check if it's a direct match for a simple code
-        const directMatch = ShorthandCodes.getFullText(component);
-        if (directMatch) {
-            return directMatch;
-        }
-        
-        // Handle compound shorthand (e.g., "1t bd" = "Take ONE tablet TWICE a day")
-        const parts = component.split(/\s+/);
-        if (parts.length >= 2) {
-            let result = '';
-            
-            // First part is usually dosage quantity
-            const firstPart = ShorthandCodes.getFullText(parts[0]);
-            if (firstPart) {
-                result = firstPart;
-            }
-            
-            // Second part is usually frequency
-            const secondPart = ShorthandCodes.getFullText(parts[1]);
-            if (secondPart) {
-                result += result ? ' ' + secondPart : secondPart;
-            }
-            
-            // Handle additional parts if present
-            for (let i = 2; i < parts.length; i++) {
-                const nextPart = ShorthandCodes.getFullText(parts[i]);
-                if (nextPart) {
-                    result += ' ' + nextPart;
-                } else {
-                    // If not a known shorthand, add as is
-                    result += ' ' + parts[i];
-                }
-            }
-            
-            return result || component; // Return original if no translation found
+    getInformationText(data) {
+        const warnings = MedicationManager.getWarningTexts(
+            MedicationManager.orderWarningLabels(data.warningLabels || []),
+            this.getWarningLanguage(data));
+        return [...warnings, data.additionalInformation || '', this.getStandardWarningText(data)]
+            .filter(text => text.trim() !== '')
+            .join('\n\n');
+    },
+    
+    /**
+     * The standard warnings for the label's dispensary and formulation, if
+     * "Include standard warnings" is ticked. A set of split labels prints
+     * them on every label, as any one of them may end up on its own.
+     * @param {Object} data - Form data
+     * @returns {string} - Text to print, or '' if there is none
+     */
+    getStandardWarningText(data) {
+        // Labels queued before the box existed count as ticked, as in the form
+        if (data.standardWarning === false) {
+            return '';
         }
-        
-        // If no translation found, return original
-        return component;
+        // Formulation categories aren't available until the medication data has loaded
+        const category = MedicationManager.formulations.formulations
+            ? MedicationManager.standardizeFormulation(data.medicationFormulation || '')
+            : '';
+        return DataManager.getStandardWarnings(data.dispensaryLocation, category).join('\n\n');
     },
+    
+    /**
+     * Language the BNF warnings on a label are printed in: the one chosen for
+     * the label, or else the dispensary's
+     * @param {Object} data - Form data
+     * @returns {string} - Language code as for MedicationManager.getWarningTexts, e.g. "cy+en"
+     */
+    getWarningLanguage(data) {
+        return data.warningLanguage || DataManager.getWarningLanguage(data.dispensaryLocation);
+    },
+    
     /**
      * Generate labels based on the form data
      * @param {Object} data - Form data
@@ -213,7 +169,8 @@ const LabelGenerator = {
         
         // Max characters that fit on the med-name line of a printed label
         // (accounts for initials boxes taking ~8mm of the label width)
-        const MED_NAME_MAX_CHARS = 37;
+        const fitting = LabelStock.getFitting();
+        const MED_NAME_MAX_CHARS = fitting.med_name_max_chars;
         
         if (fullMedLine.length > MED_NAME_MAX_CHARS) {
             return this.generateLabelsWithLongMedName(data, fullMedLine, MED_NAME_MAX_CHARS);
@@ -227,8 +184,8 @@ const LabelGenerator = {
         }
         
         // Secondary safety check based on raw character count
-        const totalContentLength = (data.dosageInstructions || '').length + (data.additionalInformation || '').length;
-        if (totalContentLength > 280) {
+        const totalContentLength = (data.dosageInstructions || '').length + this.getInformationText(data).length;
+        if (totalContentLength > fitting.max_content_chars) {
             return this.generateSplitLabels(data, { needsSplitting: true });
         }
         
@@ -243,9 +200,7 @@ const LabelGenerator = {
     generateLabelsWithLongMedName(data, fullMedLine, maxChars) {
         const dispensary = DataManager.getDispensaryInfo(data.dispensaryLocation);
         const date = data.dateOfDispensing ? new Date(data.dateOfDispensing).toLocaleDateString('en-GB') : '';
-        const patientName = data.isOverlabelMode ? 
-            '<span class="overlabel-placeholder">Patient Name: ________________</span>' : 
-            data.patientName;
+        const patientName = this.patientNameFor(data);
         
         // Split the medication line into chunks that each fit within maxChars
         const nameChunks = [];
@@ -306,14 +261,17 @@ const LabelGenerator = {
         
         const totalLabels = nameChunks.length + contentLabels.length;
         
-        // Create name-only labels for each chunk
+        // Create name-only labels for each chunk, with the standard warnings as on every label
         const allLabels = [];
         const showInitials = data.showInitials !== false;
+        const standardWarningText = this.getStandardWarningText(data);
         nameChunks.forEach((chunk, i) => {
             allLabels.push(this.createLabelHtml({
                 medicationFull: chunk,
                 medicationQuantity: '',
-                mainContent: '',
+                mainContent: standardWarningText
+                    ? `<div class="additional-info">${HtmlEscape.text(standardWarningText)}</div>`
+                    : '',
                 mainContentClass: 'content-wrapper',
                 labelNumber: i + 1,
                 totalLabels: totalLabels,
@@ -351,16 +309,22 @@ const LabelGenerator = {
      */
     needsMultipleLabels(data) {
         const dosageLength = (data.dosageInstructions || '').length;
-        const warningLength = (data.additionalInformation ? data.additionalInformation.length : 0);
+        const warningLength = this.getInformationText(data).length;
         
         // Estimate lines needed based on characters per line at each font size
         // Adaptive chars per line: if ≥50% letters are uppercase, bold text is wider
         const dosageText = data.dosageInstructions || '';
         const dosageLetters = dosageText.replace(/[^a-zA-Z]/g, '');
         const dosageUpperCount = (dosageText.match(/[A-Z]/g) || []).length;
-        const DOSAGE_CHARS_PER_LINE = (dosageLetters.length > 0 && dosageUpperCount >= dosageLetters.length / 2) ? 33 : 35;
-        const WARNING_CHARS_PER_LINE = 61; // ~61 chars per line at 5.5pt (empirically measured)
-        const MAX_DOSAGE_LINES = 3;        // Maximum dosage lines before splitting
+        
+        // Characters and lines that fit depend on the label stock in use
+        // (measured on printed labels for 24-up A4; the other stocks' figures are
+        // estimates scaled from those - see fitting_measured in label_stocks.json)
+        const fitting = LabelStock.getFitting();
+        const DOSAGE_CHARS_PER_LINE = (dosageLetters.length > 0 && dosageUpperCount >= dosageLetters.length / 2) ?
+            fitting.dosage_chars_per_line_upper : fitting.dosage_chars_per_line;
+        const WARNING_CHARS_PER_LINE = fitting.warning_chars_per_line; // e.g. ~61 chars per line at 5.5pt on 63.5mm labels
+        const MAX_DOSAGE_LINES = fitting.max_dosage_lines;             // Maximum dosage lines before splitting
         
         const dosageLinesNeeded = dosageLength > 0 ? Math.ceil(dosageLength / DOSAGE_CHARS_PER_LINE) : 0;
         const warningLinesNeeded = warningLength > 0 ? Math.ceil(warningLength / WARNING_CHARS_PER_LINE) : 0;
@@ -369,8 +333,8 @@ const LabelGenerator = {
         // unit: 'warning-line equivalents'. Because dosage text is printed at a larger font
         // size (8.5pt vs 5.5pt for warnings), each dosage line takes roughly 1.9x the
         // vertical space of a warning line.
-        const DOSAGE_TO_WARNING_RATIO = 1.9;
-        const MAX_WARNING_LINE_EQUIVALENTS = 7; // The label can hold about 7 warning-line-equivalents of content
+        const DOSAGE_TO_WARNING_RATIO = fitting.dosage_to_warning_ratio;
+        const MAX_WARNING_LINE_EQUIVALENTS = fitting.max_warning_line_equivalents; // e.g. about 7 on a 34mm high label
         
         const totalWarningEquivalent = (dosageLinesNeeded * DOSAGE_TO_WARNING_RATIO) + warningLinesNeeded;
         
@@ -386,7 +350,7 @@ const LabelGenerator = {
         return {
             needsSplitting: true,
             splitDosage: dosageLinesNeeded > MAX_DOSAGE_LINES,
-            splitWarnings: warningLinesNeeded > 6
+            splitWarnings: warningLinesNeeded > fitting.max_warning_lines
         };
     },
 
@@ -402,9 +366,7 @@ const LabelGenerator = {
         const date = data.dateOfDispensing ? new Date(data.dateOfDispensing).toLocaleDateString('en-GB') : '';
         
         // Handle overlabel mode - use placeholder text instead of actual patient name
-        const patientName = data.isOverlabelMode ? 
-            '<span class="overlabel-placeholder">Patient Name: ________________</span>' : 
-            data.patientName;
+        const patientName = this.patientNameFor(data);
         
         const showInitials = data.showInitials !== false;
         
@@ -414,13 +376,17 @@ const LabelGenerator = {
         const medicationFormulation = this.toTitleCase(data.medicationFormulation || '');
         const medicationFull = `${medicationName} ${medicationStrength}${medicationFormulation}`;
         
-        // Get warning text from additional information field (already includes standard warning if enabled)
-        let warningText = data.additionalInformation || '';
+        // BNF warnings, additional information and standard warnings
+        let warningText = this.getInformationText(data);
+        // When the dosage is split, the standard warnings go on every label and the rest is shared out
+        const standardWarningText = this.getStandardWarningText(data);
+        const sharedWarningText = this.getInformationText({ ...data, standardWarning: false });
         
-        // Define constants for label generation
-        const MAX_LINES_PER_LABEL = 3; // Number of lines per label for dosage
-        const LINE_LENGTH = 35; // Default line length for pharmacy labels (dosage)
-        const LINE_LENGTH_UPPER = 33; // Shorter limit when ≥50% of letters are uppercase
+        // Define constants for label generation (these depend on the label stock in use)
+        const fitting = LabelStock.getFitting();
+        const MAX_LINES_PER_LABEL = fitting.max_dosage_lines; // Number of lines per label for dosage
+        const LINE_LENGTH = fitting.dosage_chars_per_line; // Default line length for pharmacy labels (dosage)
+        const LINE_LENGTH_UPPER = fitting.dosage_chars_per_line_upper; // Shorter limit when ≥50% of letters are uppercase
         
         // Adaptive line length — uppercase bold letters are physically wider when printed,
         // so if most of the text is uppercase, fewer characters will fit on each line.
@@ -457,13 +423,17 @@ const LabelGenerator = {
                 }
             }
             
-            // Hard-wrap text to create discrete lines of approximately equal length
-            const dosageLines = [];
+            // Hard-wrap text to create discrete lines of approximately equal length,
+            // keeping each sentence's lines together so labels can break between sentences
+            const sentenceLineGroups = [];
             
             // Process each sentence and create visual lines
             for (const sentence of processedSentences) {
                 if (sentence.trim() === '') continue; // Skip empty sentences
                 
+                const dosageLines = [];
+                sentenceLineGroups.push(dosageLines);
+                
                 // For very short sentences, use them as-is
                 if (sentence.length <= getEffectiveLineLength(sentence)) {
                     dosageLines.push(sentence);
@@ -495,40 +465,97 @@ const LabelGenerator = {
                 }
             }
             
-            // Group dosage lines into labels (approximately MAX_LINES_PER_LABEL per label)
-            for (let i = 0; i < dosageLines.length; i += MAX_LINES_PER_LABEL) {
-                const labelLines = dosageLines.slice(i, i + MAX_LINES_PER_LABEL);
-                if (labelLines.length > 0) {
-                    // Store the raw lines and their count for potential optimization later
-                    dosageLabels.push({
-                        content: labelLines.join(' '),
-                        lineCount: labelLines.length
-                    });
+            // Group dosage lines into labels (up to MAX_LINES_PER_LABEL per label).
+            // With keepSentencesTogether, a sentence that would straddle two labels starts
+            // a new label instead - so each step of a reducing course ("... for FIVE days.
+            // Then take ...") is read in one place.
+            const groupLines = (keepSentencesTogether, maxLines) => {
+                const groups = [];
+                let current = [];
+                for (const lines of sentenceLineGroups) {
+                    if (keepSentencesTogether && current.length > 0 &&
+                        current.length + lines.length > maxLines && lines.length <= maxLines) {
+                        groups.push(current);
+                        current = [];
+                    }
+                    for (const line of lines) {
+                        if (current.length === maxLines) {
+                            groups.push(current);
+                            current = [];
+                        }
+                        current.push(line);
+                    }
                 }
-            }
+                if (current.length > 0) groups.push(current);
+                return groups;
+            };
             
             // Character budget per visual warning line (empirically tuned)
-            const CHARS_PER_WARNING_LINE = 58; // empirically measured warning chars per line
+            const CHARS_PER_WARNING_LINE = fitting.split_warning_chars_per_line; // warning chars per line for the stock
             
             // Empirically tested: how many warning lines fit alongside N dosage lines
+            // (e.g. on 24-up A4 labels: 5 with one line, 3 with two, 1 with three)
             const calculateAvailableWarningLines = (dosageLineCount) => {
-                if (dosageLineCount <= 1) return 5;
-                if (dosageLineCount === 2) return 3;
-                if (dosageLineCount === 3) return 1;
-                return 0; // 4+ dosage lines: no room for warnings
+                const table = fitting.warning_lines_with_dosage;
+                if (dosageLineCount < table.length) return table[dosageLineCount];
+                return 0; // Dosage fills the label: no room for warnings
             };
             
             // Maximum warning lines on a standalone warning label (no dosage)
-            const STANDALONE_WARNING_CAPACITY = 8;
+            const STANDALONE_WARNING_CAPACITY = fitting.standalone_warning_lines;
+            
+            // Warning lines taken on every label by the standard warnings
+            const standardWarningLines = standardWarningText
+                ? Math.ceil(standardWarningText.length / CHARS_PER_WARNING_LINE)
+                : 0;
+            
+            // Most dosage lines that still leave room for the standard warnings (at least one line)
+            const dosageLinesWithRoom = (maxLines) => {
+                let lines = maxLines;
+                while (lines > 1 && calculateAvailableWarningLines(lines) < standardWarningLines) {
+                    lines--;
+                }
+                return Math.max(lines, 1);
+            };
+            
+            // Keep sentences together when it doesn't take an extra label - or always for a
+            // course in steps, so no step has to be read across two labels
+            const isCourseInSteps = processedSentences.some(sentence => sentence.startsWith(DosageParser.STEP_PREFIX));
+            const groupLabels = (maxLines) => {
+                const sentenceGroups = groupLines(true, maxLines);
+                const packedGroups = groupLines(false, maxLines);
+                return isCourseInSteps || sentenceGroups.length <= packedGroups.length ? sentenceGroups : packedGroups;
+            };
+            let labelGroups = groupLabels(dosageLinesWithRoom(MAX_LINES_PER_LABEL));
+            // A full label in a set has no room for warnings (see below), so with standard
+            // warnings to print on each, the dosage labels in a set stop a line short
+            if (standardWarningLines > 0 && labelGroups.length > 1) {
+                labelGroups = groupLabels(dosageLinesWithRoom(MAX_LINES_PER_LABEL - 1));
+            }
+            
+            labelGroups.forEach(labelLines => {
+                // Store the raw lines and their count for potential optimization later
+                dosageLabels.push({
+                    content: labelLines.join(' '),
+                    lineCount: labelLines.length
+                });
+            });
             
             // Find the best split point in text near the target character position.
-            // Prefers splitting at a full stop (sentence boundary); falls back to word boundary.
+            // Prefers splitting between two warnings, so a bilingual warning stays
+            // together, then at a full stop (sentence boundary); falls back to word boundary.
             const findSplitPoint = (text, targetPos) => {
                 if (targetPos >= text.length) return text.length;
                 
-                // Look for the last full stop followed by a space within the budget
+                // Look for the last break between warnings within the budget
                 const searchStart = Math.floor(targetPos * 0.60); // search back up to 40%
                 const searchRegion = text.substring(searchStart, targetPos);
+                const lastWarningBreak = searchRegion.lastIndexOf('\n\n');
+                if (lastWarningBreak !== -1) {
+                    return searchStart + lastWarningBreak + 2;
+                }
+                
+                // Look for the last full stop followed by a space within the budget
                 const lastPeriodSpace = searchRegion.lastIndexOf('. ');
                 
                 if (lastPeriodSpace !== -1) {
@@ -543,35 +570,42 @@ const LabelGenerator = {
                 return targetPos;
             };
             
-            // Distribute warning text across labels using character budgets
-            let remainingWarnings = warningText ? warningText.trim() : '';
+            // Distribute warning text across labels using character budgets,
+            // after the lines the standard warnings take on each label
+            let remainingWarnings = sharedWarningText ? sharedWarningText.trim() : '';
+            
+            // Add the standard warnings to the warnings a label takes
+            const withStandardWarnings = (text) => [text, standardWarningText]
+                .filter(part => part)
+                .join('\n\n');
             
             // For each dosage label, calculate how much warning text it can take
             const warningTextPerDosageLabel = dosageLabels.map((dl, idx) => {
-                let available = calculateAvailableWarningLines(dl.lineCount);
+                let available = calculateAvailableWarningLines(dl.lineCount) - standardWarningLines;
                 
-                // When multiple dosage labels exist, labels at max capacity (3 lines)
+                // When multiple dosage labels exist, labels at max capacity
                 // get no warnings — packed lines with bold uppercase text may word-wrap
                 // to extra visual lines, leaving no room for warnings
-                if (dosageLabels.length > 1 && dl.lineCount >= 3) {
+                if (dosageLabels.length > 1 && dl.lineCount >= MAX_LINES_PER_LABEL) {
                     available = 0;
                 }
                 
-                if (available === 0 || !remainingWarnings) return '';
+                if (available <= 0 || !remainingWarnings) return withStandardWarnings('');
                 
                 const charBudget = available * CHARS_PER_WARNING_LINE;
                 const splitPos = findSplitPoint(remainingWarnings, charBudget);
                 const taken = remainingWarnings.substring(0, splitPos).trim();
                 remainingWarnings = remainingWarnings.substring(splitPos).trim();
-                return taken;
+                return withStandardWarnings(taken);
             });
             
             // Remaining warnings go into standalone labels (also split at sentence boundaries)
             const standaloneWarningTexts = [];
+            const standaloneWarningLines = Math.max(STANDALONE_WARNING_CAPACITY - standardWarningLines, 1);
             while (remainingWarnings.length > 0) {
-                const charBudget = STANDALONE_WARNING_CAPACITY * CHARS_PER_WARNING_LINE;
+                const charBudget = standaloneWarningLines * CHARS_PER_WARNING_LINE;
                 const splitPos = findSplitPoint(remainingWarnings, charBudget);
-                standaloneWarningTexts.push(remainingWarnings.substring(0, splitPos).trim());
+                standaloneWarningTexts.push(withStandardWarnings(remainingWarnings.substring(0, splitPos).trim()));
                 remainingWarnings = remainingWarnings.substring(splitPos).trim();
             }
             
@@ -585,11 +619,11 @@ const LabelGenerator = {
                 
                 if (labelWarnings) {
                     mainContent = `
-                        <div class="dosage-instructions">${dosageLabel.content}</div>
-                        <div class="additional-info">${labelWarnings}</div>
+                        <div class="dosage-instructions">${HtmlEscape.text(dosageLabel.content)}</div>
+                        <div class="additional-info">${HtmlEscape.text(labelWarnings)}</div>
                     `;
                 } else {
-                    mainContent = `<div class="dosage-instructions">${dosageLabel.content}</div>`;
+                    mainContent = `<div class="dosage-instructions">${HtmlEscape.text(dosageLabel.content)}</div>`;
                 }
                 
                 labels.push(this.createLabelHtml({
@@ -611,7 +645,7 @@ const LabelGenerator = {
                 labels.push(this.createLabelHtml({
                     medicationFull,
                     medicationQuantity: data.medicationQuantity,
-                    mainContent: `<div class="additional-info">${standaloneWarningTexts[i]}</div>`,
+                    mainContent: `<div class="additional-info">${HtmlEscape.text(standaloneWarningTexts[i])}</div>`,
                     mainContentClass: 'content-wrapper',
                     labelNumber: dosageLabels.length + i + 1,
                     totalLabels: totalLabels,
@@ -627,7 +661,7 @@ const LabelGenerator = {
         // If there was no dosage content, but we have warnings, create a label just for warnings
         else if (warningText) {
             // Process the warning text for a single label
-            const WARNING_LINE_LENGTH = 58; // empirically measured warning chars per line
+            const WARNING_LINE_LENGTH = fitting.split_warning_chars_per_line; // warning chars per line for the stock
             const normalizedWarning = warningText.replace(/\r\n|\r/g, '\n');
             const warningLines = [];
             const warningWords = normalizedWarning.split(/\s+/);
@@ -650,7 +684,7 @@ const LabelGenerator = {
             labels.push(this.createLabelHtml({
                 medicationFull,
                 medicationQuantity: data.medicationQuantity,
-                mainContent: `<div class="additional-info">${warningLines.join(' ')}</div>`,
+                mainContent: `<div class="additional-info">${HtmlEscape.text(warningLines.join(' '))}</div>`,
                 mainContentClass: 'content-wrapper',
                 labelNumber: 1,
                 totalLabels: 1,
@@ -683,7 +717,22 @@ const LabelGenerator = {
     },
 
     /**
-     * Create HTML for a single label in a multi-label set
+     * Patient name for a medication label: the typed name, or in overlabel mode
+     * a blank line to handwrite the name on
+     * @param {Object} data - Form data
+     * @returns {string|Object} - Name as text, or a trusted HTML placeholder
+     */
+    patientNameFor(data) {
+        if (data.isOverlabelMode) {
+            return HtmlEscape.trusted('<span class="overlabel-placeholder">Patient Name: ________________</span>');
+        }
+        return data.patientName;
+    },
+
+    /**
+     * Create HTML for a single label in a multi-label set.
+     * Text options are escaped here; mainContent is HTML the generator has
+     * already built (with its own text escaped) and is inserted as it is.
      * @param {Object} options - Options for the label
      * @returns {string} - HTML content for the label
      */
@@ -713,7 +762,7 @@ const LabelGenerator = {
                 <div class="label-top-section">
                     <!-- Row 1: Quantity, Medication Name, Strength, Formulation (ensure single line) -->
                     <div class="medication">
-                        <div class="med-name single-line">${medicationQuantity ? `${medicationQuantity} ` : ''}${medicationFull}</div>
+                        <div class="med-name single-line">${medicationQuantity ? `${HtmlEscape.text(medicationQuantity)} ` : ''}${HtmlEscape.text(medicationFull)}</div>
                     </div>
                     
                     <!-- Row 2: Main Content (Dosage or Warnings) -->
@@ -726,8 +775,8 @@ const LabelGenerator = {
                 <div class="label-bottom-section">
                     <!-- Row 4: Patient Name, Date -->
                     <div class="patient-row">
-                        <span class="patient-name">${patientName || ''}</span>
-                        <span class="dispensing-date">${date}</span>
+                        <span class="patient-name">${HtmlEscape.render(patientName)}</span>
+                        <span class="dispensing-date">${HtmlEscape.text(date)}</span>
                     </div>
                     
                     <!-- Label Number at Bottom (only shown when content spans multiple labels) -->
@@ -737,7 +786,7 @@ const LabelGenerator = {
                     
                     <!-- Bottom Row: Pharmacy Details -->
                     <div class="pharmacy-details">
-                        ${dispensary.name}, ${dispensary.address}, Tel: ${dispensary.phone}
+                        ${HtmlEscape.text(DataManager.getLabelFooter(dispensary))}
                     </div>
                 </div>
             </div>
@@ -765,20 +814,18 @@ const LabelGenerator = {
             <div class="bag-label">
                 <!-- Patient Information Section -->
                 <div class="bag-label-patient-section">
-                    <div class="bag-label-patient-name">${data.isOverlabelMode ? 
-                        '<span class="overlabel-placeholder">Patient Name: ________________</span>' : 
-                        (data.patientName || '')}</div>
+                    <div class="bag-label-patient-name">${HtmlEscape.render(this.patientNameFor(data))}</div>
                     <div class="bag-label-patient-details">
-                        <div>DOB: ${dob}</div>
-                        ${data.patientNHS ? `<div>NHS: ${data.patientNHS}</div>` : ''}
+                        <div>DOB: ${HtmlEscape.text(dob)}</div>
+                        ${data.patientNHS ? `<div>NHS: ${HtmlEscape.text(NhsNumber.format(data.patientNHS))}</div>` : ''}
                     </div>
-                    <div class="bag-label-patient-address">${(data.patientAddress || '').split(/\r?\n/)[0]}</div>
+                    <div class="bag-label-patient-address">${HtmlEscape.text((data.patientAddress || '').split(/\r?\n/)[0])}</div>
                 </div>
                 
                 <!-- Dispensary Information -->
                 <div class="bag-label-dispensary">
-                    <div class="bag-label-date">Date: ${dispensedDate}</div>
-                    <div class="bag-label-pharmacy">${dispensary.name}</div>
+                    <div class="bag-label-date">Date: ${HtmlEscape.text(dispensedDate)}</div>
+                    <div class="bag-label-pharmacy">${HtmlEscape.text(dispensary.name)}</div>
                 </div>
             </div>
         `;
@@ -801,6 +848,7 @@ const LabelGenerator = {
         const medicationStrength = data.medicationStrength ? `${data.medicationStrength} ` : '';
         const medicationFormulation = this.toTitleCase(data.medicationFormulation || '');
         const medicationFull = `${medicationName} ${medicationStrength}${medicationFormulation}`;
+        const informationText = this.getInformationText(data);
         
         // Generate HTML for the label
         const showInitials = data.showInitials !== false;
@@ -816,18 +864,18 @@ const LabelGenerator = {
             <div class="label-top-section">
                 <!-- Row 1: Quantity, Medication Name, Strength, Formulation (ensure single line) -->
                 <div class="medication">
-                    <div class="med-name single-line">${data.medicationQuantity ? `${data.medicationQuantity} ` : ''}${medicationFull}</div>
+                    <div class="med-name single-line">${data.medicationQuantity ? `${HtmlEscape.text(data.medicationQuantity)} ` : ''}${HtmlEscape.text(medicationFull)}</div>
                 </div>
                 
                 <!-- Row 2: Dosage Instructions (always in large font) -->
                 <div class="dosage-instructions">
-                    ${data.dosageInstructions || ''}
+                    ${HtmlEscape.text(data.dosageInstructions)}
                 </div>
                 
                 <!-- Row 3: Warnings and Additional Information (always in smaller font) -->
-                ${data.additionalInformation ? `
+                ${informationText ? `
                 <div class="additional-info">
-                    ${data.additionalInformation || ''}
+                    ${HtmlEscape.text(informationText)}
                 </div>` : ''}
             </div>
             
@@ -837,14 +885,14 @@ const LabelGenerator = {
                 <div class="patient-row">
                     ${data.isOverlabelMode ? 
                         `<span class="patient-name placeholder">Patient Name: ________________</span>` : 
-                        `<span class="patient-name">${data.patientName || ''}</span>`
+                        `<span class="patient-name">${HtmlEscape.text(data.patientName)}</span>`
                     }
-                    <span class="dispensing-date">${date}</span>
+                    <span class="dispensing-date">${HtmlEscape.text(date)}</span>
                 </div>
                 
                 <!-- Bottom Row: Pharmacy Details -->
                 <div class="pharmacy-details">
-                    ${dispensary.name}, ${dispensary.address}, Tel: ${dispensary.phone}
+                    ${HtmlEscape.text(DataManager.getLabelFooter(dispensary))}
                 </div>
             </div>
         </div>
@@ -0,0 +1,191 @@
+/**
+ * Downtime Pharmacy Label Generator
+ * Label Stock Module
+ * Describes the label stationery loaded in the printer (sheet layout, label size
+ * and how much text fits on each label) and applies it to the page layout
+ */
+
+const LabelStock = {
+    // Key used to remember the chosen stock on this device between sessions
+    STORAGE_KEY: 'labelStockId',
+
+    // Used if data/label_stocks.json cannot be loaded, so the app can still
+    // print on the standard 24-up A4 sheets it was originally designed for
+    FALLBACK_STOCK: {
+        id: 'a4-24',
+        name: '24-up A4 (63.5 x 34 mm)',
+        page: { size: 'A4', margin: '14mm 7mm 12mm 8mm' },
+        columns: 3,
+        rows: 8,
+        label_width_mm: 63.5,
+        label_height_mm: 34,
+        column_gap_mm: 2.5,
+        row_gap_mm: 0,
+        fitting_measured: true,
+        fitting: {
+            med_name_max_chars: 37,
+            dosage_chars_per_line: 35,
+            dosage_chars_per_line_upper: 33,
+            max_dosage_lines: 3,
+            warning_chars_per_line: 61,
+            split_warning_chars_per_line: 58,
+            dosage_to_warning_ratio: 1.9,
+            max_warning_line_equivalents: 7,
+            max_warning_lines: 6,
+            warning_lines_with_dosage: [5, 5, 3, 1],
+            standalone_warning_lines: 8,
+            max_content_chars: 280
+        }
+    },
+
+    stocks: [],
+    activeStock: null,
+
+    // The @page rule added to the stylesheet for the active stock
+    _pageRule: null,
+
+    /**
+     * Load the available label stocks and apply the one last used on this device
+     */
+    async init() {
+        let defaultId = this.FALLBACK_STOCK.id;
+
+        try {
+            const data = await MedicationManager.fetchJSON('data/label_stocks.json');
+            this.stocks = data.label_stocks || [];
+            defaultId = data.default_stock || defaultId;
+        } catch (error) {
+            console.error('Error loading label stocks:', error);
+        }
+
+        if (this.stocks.length === 0) {
+            this.stocks = [this.FALLBACK_STOCK];
+        }
+
+        const savedId = localStorage.getItem(this.STORAGE_KEY);
+        const initial = this.getStock(savedId) || this.getStock(defaultId) || this.stocks[0];
+
+        this.populateSelect(initial.id);
+        this.apply(initial);
+    },
+
+    /**
+     * Find a label stock by its ID
+     * @param {string} id - Label stock ID
+     * @returns {Object|null} - Label stock, or null if there isn't one with that ID
+     */
+    getStock(id) {
+        return this.stocks.find(stock => stock.id === id) || null;
+    },
+
+    /**
+     * The label stock currently selected
+     * @returns {Object} - Active label stock
+     */
+    getActive() {
+        return this.activeStock || this.FALLBACK_STOCK;
+    },
+
+    /**
+     * The text fitting limits for the active label stock
+     * @returns {Object} - Fitting limits (characters per line, lines per label etc.)
+     */
+    getFitting() {
+        return this.getActive().fitting;
+    },
+
+    /**
+     * Whether the active stock's fitting limits were measured on printed labels.
+     * Stocks added without measuring have limits scaled from the 24-up figures,
+     * so long text may still run off the label.
+     * @returns {boolean} - True if the fitting limits were measured
+     */
+    isFittingMeasured() {
+        return this.getActive().fitting_measured === true;
+    },
+
+    /**
+     * Number of label positions on one sheet of the active stock
+     * @returns {number} - Labels per sheet
+     */
+    getPositionsPerSheet() {
+        const stock = this.getActive();
+        return stock.columns * stock.rows;
+    },
+
+    /**
+     * Fill the label stock dropdown from the loaded stocks
+     * @param {string} selectedId - ID of the stock to show as selected
+     */
+    populateSelect(selectedId) {
+        const select = document.getElementById('label-stock');
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.stocks.forEach(stock => {
+            const option = document.createElement('option');
+            option.value = stock.id;
+            option.textContent = stock.name;
+            select.appendChild(option);
+        });
+        select.value = selectedId;
+    },
+
+    /**
+     * Switch to a different label stock and remember it on this device
+     * @param {string} id - Label stock ID
+     * @returns {boolean} - True if the stock was found and applied
+     */
+    select(id) {
+        const stock = this.getStock(id);
+        if (!stock) return false;
+
+        localStorage.setItem(this.STORAGE_KEY, stock.id);
+        this.apply(stock);
+        return true;
+    },
+
+    /**
+     * Apply a label stock's dimensions to the page.
+     *
+     * The printed label styles read their sizes from CSS variables, so setting
+     * them here resizes the labels, the sheet grid and the on-screen preview
+     * together. The printed page size and margins live in an @page rule,
+     * which has to be added to the stylesheet itself.
+     * @param {Object} stock - Label stock to apply
+     */
+    apply(stock) {
+        this.activeStock = stock;
+
+        const root = document.documentElement.style;
+        root.setProperty('--label-width', `${stock.label_width_mm}mm`);
+        root.setProperty('--label-height', `${stock.label_height_mm}mm`);
+        root.setProperty('--sheet-columns', stock.columns);
+        root.setProperty('--sheet-rows', stock.rows);
+        root.setProperty('--column-gap', `${stock.column_gap_mm}mm`);
+        root.setProperty('--row-gap', `${stock.row_gap_mm}mm`);
+
+        this._applyPageRule(stock.page);
+    },
+
+    /**
+     * Replace the printed page size and margins with those of the label stock.
+     * A later @page rule overrides the one in styles.css.
+     * @param {Object} page - { size, margin } in CSS units
+     */
+    _applyPageRule(page) {
+        const sheet = Array.from(document.styleSheets).find(s => s.href && s.href.includes('css/styles.css'));
+        if (!sheet) return;
+
+        try {
+            if (this._pageRule) {
+                const index = Array.from(sheet.cssRules).indexOf(this._pageRule);
+                if (index !== -1) sheet.deleteRule(index);
+            }
+            const index = sheet.insertRule(`@page { size: ${page.size}; margin: ${page.margin}; }`, sheet.cssRules.length);
+            this._pageRule = sheet.cssRules[index];
+        } catch (error) {
+            console.warn('Could not set the printed page size:', error);
+        }
+    }
+};
@@ -1,7 +1,8 @@
 /**
  * UK Pharmacy Back-Up Label Generator
  * Medication Manager Module
- * Handles medication autocomplete and warning labels
+ * Handles medication autocomplete, warning labels and the alerts shown for
+ * specialist and high-risk medicines
  */
 
 const MedicationManager = {
@@ -9,7 +10,11 @@ const MedicationManager = {
     medications: [],
     formulations: {},
     warningLabels: [],
+    warningLanguages: [],     // Languages the warning labels can be printed in: [{ code, name, source }]
     medicationWarnings: [],
+    // Alerts for specialist and high-risk medicines, from high_risk_groups.json
+    specialistAlert: null,
+    highRiskGroups: [],
     
     // Pre-built lookup tables that make drug name searching much faster.
     // Rather than scanning the full drug list on every keystroke, these tables let
@@ -17,8 +22,13 @@ const MedicationManager = {
     _medNameIndex: null,      // Lookup table: drug name → drug entry
     _aliasIndex: null,        // Lookup table: alternative name (alias) → drug entry
     _warningIndex: null,      // Lookup table: drug name → its warning label numbers
+    _specialistIndex: null,   // Drug names marked "-Specialist-Drug" in the data files
     _normCache: new Map(),    // Stores previously cleaned-up name strings to avoid repeating the same work
-    _lastAutoPopulatedWarning: '', // Tracks the last warning text written by the system so it can be cleared cleanly
+    _warningCandidates: [],   // Warning entries that could apply to the medicine in the form, from findWarningCandidates
+    _shownAlertKey: '',       // Medicine and alerts currently shown in the form, so the check box is cleared when either changes
+    
+    // Marks specialist medicines in drug_aliases.json and drug_formulations_warnings.json
+    SPECIALIST_SUFFIX: /-Specialist-Drug$/i,
     
     /**
      * Convert a string to title case (capitalize first letter of each word)
@@ -26,13 +36,6 @@ const MedicationManager = {
      * @param {string} str - String to convert
      * @returns {string} - Title-cased string
      */
-    // Common pharmaceutical abbreviations that should remain uppercase
-    _pharmaAbbreviations: new Set([
-        'mr', 'sr', 'cr', 'xl', 'la', 'pr', 'er', 'ec', 'gr', 'dr',
-        'sl', 'iv', 'im', 'sc', 'td', 'dpi', 'mdi', 'smi',
-        'pf', 'sf', 'fc', 'bp', 'nac', 'hgc', 'sgc', 'od'
-    ]),
-
     toTitleCase(str) {
         if (!str) return '';
         return str.replace(/\b(\w+)\b/g, (word) => {
@@ -40,8 +43,8 @@ const MedicationManager = {
             if (word.length >= 2 && word === word.toUpperCase() && /^[A-Z]+$/.test(word)) {
                 return word;
             }
-            // Uppercase known pharmaceutical abbreviations
-            if (this._pharmaAbbreviations.has(word.toLowerCase())) {
+            // Uppercase known pharmaceutical abbreviations (listed in shorthand-codes.js)
+            if (ShorthandCodes.formulationAbbreviations.has(word.toLowerCase())) {
                 return word.toUpperCase();
             }
             return word.charAt(0).toUpperCase() + word.slice(1);
@@ -57,6 +60,10 @@ const MedicationManager = {
             // Load medication data
             let medications, formulations, warnings, medicationWarnings;
             
+            // The alerts are optional, so their file loads on its own - if it is
+            // missing, the medicines and warnings still load, just with no alerts
+            const highRiskLoad = this._loadHighRiskGroups();
+            
             try {
                 // Load all four data files simultaneously (in parallel) for faster startup
                 [medications, formulations, warnings, medicationWarnings] = await Promise.all([
@@ -76,15 +83,20 @@ const MedicationManager = {
                     this.fetchJSON('../drug_formulations_warnings.json')
                 ]);
             }
+            const highRisk = await highRiskLoad;
             
             this.medications = medications || [];
             this.formulations = formulations || {};
             this.warningLabels = warnings?.cautionary_advisory_labels || [];
+            this.warningLanguages = this._getCompleteLanguages(warnings?.languages || [{ code: 'en', name: 'English' }]);
             this.medicationWarnings = medicationWarnings || [];
+            this.specialistAlert = highRisk?.specialist || null;
+            this.highRiskGroups = highRisk?.high_risk_groups || [];
             
             console.log('Loaded medications:', this.medications.length);
             console.log('Loaded warning labels:', this.warningLabels.length);
             console.log('Loaded medication warnings:', this.medicationWarnings.length);
+            console.log('Loaded high-risk groups:', this.highRiskGroups.length);
             
             // Build lookup indexes for fast searching
             this._buildIndexes();
@@ -100,6 +112,23 @@ const MedicationManager = {
         }
     },
     
+    /**
+     * Load high_risk_groups.json, from the data directory or else the root
+     * directory like the other data files
+     * @returns {Promise<Object|null>} - The file's contents, or null if it can't be loaded
+     */
+    async _loadHighRiskGroups() {
+        for (const url of ['data/high_risk_groups.json', '../high_risk_groups.json']) {
+            try {
+                return await this.fetchJSON(url);
+            } catch (error) {
+                console.warn(`Error loading ${url}:`, error);
+            }
+        }
+        console.warn('No specialist or high-risk medicine alerts will be shown');
+        return null;
+    },
+    
     /**
      * Fetch JSON data from a file
      * @param {string} url - URL of the JSON file
@@ -124,8 +153,14 @@ const MedicationManager = {
         // Build medication name index
         this._medNameIndex = new Map();
         this._aliasIndex = new Map();
+        this._specialistIndex = new Set();
         
         for (const med of this.medications) {
+            // A "-Specialist-Drug" alias marks the whole entry as a specialist medicine
+            if ((med.aliases || []).some(alias => this.SPECIALIST_SUFFIX.test(alias))) {
+                this._addSpecialistName(med.name);
+            }
+            
             const normName = this._cachedNormalize(med.name);
             const canonName = this._cachedCanonicalize(med.name);
             
@@ -148,7 +183,10 @@ const MedicationManager = {
         
         for (const warning of this.medicationWarnings) {
             for (const name of warning.name) {
-                const cleanName = name.replace(/-Specialist-Drug$/i, '');
+                if (this.SPECIALIST_SUFFIX.test(name)) {
+                    this._addSpecialistName(name);
+                }
+                const cleanName = name.replace(this.SPECIALIST_SUFFIX, '');
                 const normName = this._cachedNormalize(cleanName);
                 const canonName = this._cachedCanonicalize(cleanName);
                 
@@ -165,7 +203,19 @@ const MedicationManager = {
         }
         
         console.timeEnd('Building indexes');
-        console.log('Index sizes - meds:', this._medNameIndex.size, 'aliases:', this._aliasIndex.size, 'warnings:', this._warningIndex.size);
+        console.log('Index sizes - meds:', this._medNameIndex.size, 'aliases:', this._aliasIndex.size,
+            'warnings:', this._warningIndex.size, 'specialist:', this._specialistIndex.size);
+    },
+    
+    /**
+     * Remember a drug name as a specialist medicine, under the same forms the
+     * other indexes use
+     * @param {string} name - Drug name, with or without the "-Specialist-Drug" suffix
+     */
+    _addSpecialistName(name) {
+        const cleanName = name.replace(this.SPECIALIST_SUFFIX, '');
+        [this._cachedNormalize(cleanName), this._cachedCanonicalize(cleanName), cleanName.toLowerCase().trim()]
+            .forEach(key => this._specialistIndex.add(key));
     },
     
     /**
@@ -201,6 +251,9 @@ const MedicationManager = {
         if (medicationInput) {
             this.setupAutocomplete(medicationInput, this.getMedicationSuggestions.bind(this));
             medicationInput.addEventListener('change', this.updateWarningLabels.bind(this));
+            // Alerts are only lookups in the indexes, so they can follow every keypress
+            medicationInput.addEventListener('input', () => this.updateMedicineAlerts());
+            medicationInput.addEventListener('change', () => this.updateMedicineAlerts());
         }
         
         // Setup formulation autocomplete
@@ -399,6 +452,8 @@ const MedicationManager = {
             if (matches.length < maxResults) {
                 for (const alias of med.aliases || []) {
                     if (matches.length >= maxResults) break;
+                    // The specialist marker is shown as an alert, not offered as a name
+                    if (this.SPECIALIST_SUFFIX.test(alias)) continue;
                     
                     const aliasLower = alias.toLowerCase();
                     if (aliasLower.includes(lowercaseInput) && !seen.has(aliasLower)) {
@@ -530,38 +585,224 @@ const MedicationManager = {
     },
 
     /**
-     * Update warning labels based on selected medication and formulation
+     * Update warning labels based on selected medication and formulation.
+     * The first entry for the formulation is used; the status under BNF Warning
+     * Labels says where the warnings came from, offers any other entries
+     * that could apply, or says plainly that no warning data was found.
      */
     updateWarningLabels() {
+        this._applyWarningCandidate(this.updateWarningStatus());
+    },
+    
+    /**
+     * Look up the warning entries for the medication and formulation in the form and
+     * show them under BNF Warning Labels, without changing the labels chosen
+     * (e.g. when a queued label is loaded back into the form)
+     * @returns {number} - Position of the entry for this formulation in the list, or -1 if none
+     */
+    updateWarningStatus() {
         const medicationName = document.getElementById('med-name').value.trim();
         const formulation = document.getElementById('med-form').value.trim();
-        const additionalInfoField = document.getElementById('additional-info');
-        
-        // If the field still holds the text the system last wrote, clear it.
-        // This avoids wiping anything the user has typed manually.
-        if (additionalInfoField && this._lastAutoPopulatedWarning) {
-            if (additionalInfoField.value === this._lastAutoPopulatedWarning) {
-                additionalInfoField.value = '';
-            }
-            this._lastAutoPopulatedWarning = '';
-        }
         
         // If we don't have both medication and formulation, nothing more to do
         if (!medicationName || !formulation) {
+            this._warningCandidates = [];
+            this._renderWarningStatus(null, -1);
+            return -1;
+        }
+        
+        // Find every entry that could apply, and use the first for this formulation
+        const result = this.findWarningCandidates(medicationName, formulation);
+        const chosen = result.candidates.findIndex(candidate => candidate.matchesFormulation);
+        this._warningCandidates = result.candidates;
+        this._renderWarningStatus(result, chosen);
+        return chosen;
+    },
+    
+    /**
+     * Suggest one candidate's warning labels in the label picker, replacing any
+     * suggested before. Labels the dispenser added by hand are kept.
+     * @param {number} index - Position in _warningCandidates, or -1 for none
+     */
+    _applyWarningCandidate(index) {
+        const candidate = this._warningCandidates[index];
+        WarningLabelPicker.setSuggested(candidate ? candidate.labelNumbers : []);
+    },
+    
+    /**
+     * Say where the warnings came from, with a choice of entry when more than one
+     * could apply
+     * @param {Object|null} result - From findWarningCandidates, or null to hide the status
+     * @param {number} chosen - Position of the candidate in use, or -1 for none
+     */
+    _renderWarningStatus(result, chosen) {
+        const status = document.getElementById('warning-status');
+        if (!status) return;
+        
+        status.innerHTML = '';
+        status.classList.remove('none');
+        if (!result) {
+            status.classList.add('hidden');
             return;
         }
+        status.classList.remove('hidden');
         
-        // Find matching warning labels
-        const labelNumbers = this.findWarningLabels(medicationName, formulation);
+        if (result.message) {
+            status.classList.add('none');
+            const message = document.createElement('div');
+            message.textContent = result.message;
+            status.appendChild(message);
+        }
         
-        // Get the warning texts
-        const warnings = this.getWarningTexts(labelNumbers);
+        if (result.candidates.length === 1 && chosen === 0) {
+            const source = document.createElement('div');
+            source.textContent = `BNF warnings from ${this._describeWarningCandidate(result.candidates[0])}`;
+            source.title = result.candidates[0].reason;
+            status.appendChild(source);
+        } else if (result.candidates.length > 0) {
+            const label = document.createElement('label');
+            label.htmlFor = 'warning-candidate';
+            const matching = result.candidates.filter(candidate => candidate.matchesFormulation).length;
+            if (matching > 1) {
+                label.textContent = `${matching} warning entries match this formulation - using:`;
+            } else if (matching === 1) {
+                label.textContent = 'BNF warnings from (or choose another formulation\'s entry):';
+            } else {
+                label.textContent = 'Entries for other formulations of this medicine:';
+            }
+            status.appendChild(label);
+            
+            const select = document.createElement('select');
+            select.id = 'warning-candidate';
+            const none = document.createElement('option');
+            none.value = '-1';
+            none.textContent = 'No BNF warnings';
+            select.appendChild(none);
+            result.candidates.forEach((candidate, index) => {
+                const option = document.createElement('option');
+                option.value = String(index);
+                option.textContent = this._describeWarningCandidate(candidate);
+                option.title = candidate.reason;
+                select.appendChild(option);
+            });
+            select.value = String(chosen);
+            select.addEventListener('change', () => this._applyWarningCandidate(parseInt(select.value, 10)));
+            status.appendChild(select);
+        }
+    },
+    
+    /**
+     * Short description of a warning entry for the status line
+     * @param {Object} candidate - Candidate from findWarningCandidates
+     * @returns {string} - e.g. 'Amoxicillin as "Oral suspension" (labels 9, 13)'
+     */
+    _describeWarningCandidate(candidate) {
+        const labels = candidate.labelNumbers.length === 0
+            ? 'no labels'
+            : `label${candidate.labelNumbers.length === 1 ? '' : 's'} ${candidate.labelNumbers.join(', ')}`;
+        return `${candidate.name} as "${candidate.formulation}" (${labels})`;
+    },
+    
+    /**
+     * Whether a medicine is marked "-Specialist-Drug" in drug_aliases.json or
+     * drug_formulations_warnings.json
+     * @param {string} medicationName - Medication name as typed
+     * @returns {boolean} - True for a specialist medicine
+     */
+    isSpecialistDrug(medicationName) {
+        if (!medicationName || !this._specialistIndex) return false;
+        
+        const keys = [
+            this._cachedNormalize(medicationName),
+            this._cachedCanonicalize(medicationName),
+            medicationName.toLowerCase().trim(),
+            // A brand or other alias counts as the medicine it stands for
+            this.standardizeMedicationName(medicationName)
+        ];
+        return keys.some(key => this._specialistIndex.has(key));
+    },
+    
+    /**
+     * High-risk groups (from high_risk_groups.json) a medicine belongs to, by its
+     * name in drug_aliases.json or a name prefix such as "Insulin"
+     * @param {string} medicationName - Medication name as typed
+     * @returns {Array<Object>} - Matching groups, in the order they are listed
+     */
+    getHighRiskGroups(medicationName) {
+        if (!medicationName || !medicationName.trim()) return [];
+        
+        const names = [this._cachedNormalize(medicationName), this._cachedNormalize(this.standardizeMedicationName(medicationName))];
+        return this.highRiskGroups.filter(group =>
+            (group.medicines || []).some(medicine => names.includes(this._cachedNormalize(medicine))) ||
+            (group.name_prefixes || []).some(prefix => names.some(name => name.startsWith(this._cachedNormalize(prefix))))
+        );
+    },
+    
+    /**
+     * Everything the dispenser should be alerted to for a medicine: specialist
+     * status first, then any high-risk groups
+     * @param {string} medicationName - Medication name as typed
+     * @returns {Array<Object>} - [{ id, name, counselling, requiresCheck }]
+     */
+    getMedicineAlerts(medicationName) {
+        const alerts = [];
+        
+        if (this.specialistAlert && this.isSpecialistDrug(medicationName)) {
+            alerts.push({
+                id: 'specialist',
+                name: this.specialistAlert.name,
+                counselling: this.specialistAlert.counselling,
+                requiresCheck: !!this.specialistAlert.requires_check
+            });
+        }
         
-        // Write warnings into the field and remember what was written
-        if (additionalInfoField && warnings.length > 0) {
-            additionalInfoField.value = warnings.join('\n\n');
-            this._lastAutoPopulatedWarning = additionalInfoField.value;
+        this.getHighRiskGroups(medicationName).forEach(group => {
+            alerts.push({
+                id: group.id,
+                name: group.name,
+                counselling: group.counselling,
+                requiresCheck: !!group.requires_check
+            });
+        });
+        
+        return alerts;
+    },
+    
+    /**
+     * Show the alerts for the medicine in the form, with the extra check box
+     * when any of them needs one. The box is cleared whenever the medicine or
+     * its alerts change, so a check made for one medicine is never carried over
+     * to another - even one in the same group (e.g. Warfarin to Apixaban).
+     */
+    updateMedicineAlerts() {
+        const container = document.getElementById('medicine-alerts');
+        const medicationInput = document.getElementById('med-name');
+        if (!container || !medicationInput) return;
+        
+        const alerts = this.getMedicineAlerts(medicationInput.value);
+        const list = document.getElementById('medicine-alert-list');
+        const checkRow = document.getElementById('medicine-alert-check');
+        const checkBox = document.getElementById('medicine-alert-checked');
+        
+        const alertKey = `${this.normalizeDrugName(medicationInput.value)}|${alerts.map(alert => alert.id).join(',')}`;
+        if (alertKey !== this._shownAlertKey) {
+            checkBox.checked = false;
+            this._shownAlertKey = alertKey;
         }
+        
+        list.innerHTML = '';
+        alerts.forEach(alert => {
+            const item = document.createElement('div');
+            item.className = 'medicine-alert';
+            const title = document.createElement('strong');
+            title.textContent = alert.name;
+            item.appendChild(title);
+            item.appendChild(document.createTextNode(` - ${alert.counselling}`));
+            list.appendChild(item);
+        });
+        
+        container.classList.toggle('hidden', alerts.length === 0);
+        checkRow.classList.toggle('hidden', !alerts.some(alert => alert.requiresCheck));
     },
     
     /**
@@ -687,24 +928,103 @@ const MedicationManager = {
     },
     
     /**
-     * Find warning label numbers for a medication and formulation.
-     * Both drug name and formulation must resolve to an exact alias match —
-     * the formulation is looked up in formulation_aliases.json and must map to
-     * the same canonical category as the formulation stored in drug_formulations_warnings.json.
+     * Find warning label numbers for a medication and formulation: those of the
+     * first entry in drug_formulations_warnings.json whose formulation matches
+     * (see findWarningCandidates)
      * @param {string} medicationName - Medication name
      * @param {string} formulation - Medication formulation
      * @returns {Array} - List of warning label numbers
      */
     findWarningLabels(medicationName, formulation) {
+        const match = this.findWarningCandidates(medicationName, formulation).candidates
+            .find(candidate => candidate.matchesFormulation);
+        return match ? match.labelNumbers : [];
+    },
+    
+    /**
+     * Find every warning entry that could apply to a medication and formulation,
+     * with the reason each one was picked out.
+     * The drug name must resolve to an entry in drug_formulations_warnings.json
+     * (directly or through its aliases in drug_aliases.json). An entry matches the
+     * formulation when both formulations map to the same category in
+     * formulation_aliases.json; entries for the same medicine in other formulations
+     * are returned after those, so the dispenser can still choose one.
+     * @param {string} medicationName - Medication name
+     * @param {string} formulation - Medication formulation
+     * @returns {Object} - { candidates: [{ name, formulation, category, labelNumbers,
+     *                     matchesFormulation, reason }], message } where message says why
+     *                     no entry matches the formulation, or is null if one does
+     */
+    findWarningCandidates(medicationName, formulation) {
+        const typedForm = (formulation || '').toLowerCase().trim();
+        // Resolve the user's formulation to its canonical alias category
+        const standardizedForm = this.standardizeFormulation(typedForm);
+        const formulationKnown = standardizedForm !== typedForm;
+        
+        const candidates = [];
+        for (const warning of this._findWarningEntries(medicationName)) {
+            const name = warning.name.map(name => name.replace(this.SPECIALIST_SUFFIX, '')).join(' / ');
+            
+            // The entry's formulation is also resolved via formulation_aliases.json -
+            // both must map to the same canonical category to count as a match
+            const forms = warning.formulation.map(form => ({
+                form,
+                category: this.standardizeFormulation(form.toLowerCase().trim())
+            }));
+            const match = forms.find(entry => entry.category === standardizedForm);
+            const shown = match || forms[0];
+            
+            candidates.push({
+                name,
+                formulation: shown ? shown.form : '',
+                category: shown ? shown.category : '',
+                labelNumbers: warning.label_number || [],
+                matchesFormulation: !!match,
+                reason: match
+                    ? `${name} as "${match.form}" - the same formulation (${match.category}) as "${formulation.trim()}"`
+                    : `${name} as "${warning.formulation.join('", "')}" - a different formulation`
+            });
+        }
+        
+        // Entries for the formulation given come first, keeping the order of the data file
+        candidates.sort((a, b) => Number(b.matchesFormulation) - Number(a.matchesFormulation));
+        
+        let message = null;
+        if (candidates.length === 0) {
+            message = `No warning data found for "${medicationName.trim()}".`;
+        } else if (!candidates[0].matchesFormulation) {
+            message = formulationKnown
+                ? `No warning data found for ${candidates[0].name} as "${formulation.trim()}".`
+                : `No warning data found for this formulation: "${formulation.trim()}" is not in the formulation list.`;
+        }
+        
+        return { candidates, message };
+    },
+    
+    /**
+     * Warning entries in drug_formulations_warnings.json for a drug name, whatever
+     * their formulation
+     * @param {string} medicationName - Medication name
+     * @returns {Array<Object>} - Warning entries, in the order of the data file
+     */
+    _findWarningEntries(medicationName) {
         const normalizedMed = this._cachedNormalize(medicationName);
         const canonicalMed = this._cachedCanonicalize(medicationName);
-        // Resolve the user's formulation to its canonical alias category
-        const standardizedForm = this.standardizeFormulation(formulation.toLowerCase().trim());
         
-        // Step 1: Use the pre-built index to find all warning entries for this drug name
-        let candidateWarnings = this._warningIndex?.get(normalizedMed) || 
-                                this._warningIndex?.get(canonicalMed) ||
-                                this._warningIndex?.get(medicationName.toLowerCase().trim());
+        // Fall back to a linear scan if the pre-built index was not available
+        if (!this._warningIndex) {
+            return this.medicationWarnings.filter(warning => warning.name.some(name => {
+                const cleanName = name.replace(this.SPECIALIST_SUFFIX, '');
+                return this._cachedNormalize(cleanName) === normalizedMed ||
+                       this._cachedCanonicalize(cleanName) === canonicalMed ||
+                       this.drugNamesMatch(medicationName, cleanName);
+            }));
+        }
+        
+        // Use the pre-built index to find all warning entries for this drug name
+        let candidateWarnings = this._warningIndex.get(normalizedMed) || 
+                                this._warningIndex.get(canonicalMed) ||
+                                this._warningIndex.get(medicationName.toLowerCase().trim());
         
         // If no direct hit, try via the drug's known aliases from drug_aliases.json
         if (!candidateWarnings || candidateWarnings.length === 0) {
@@ -724,72 +1044,13 @@ const MedicationManager = {
                 ];
                 
                 for (const name of namesToTry) {
-                    candidateWarnings = this._warningIndex?.get(name);
+                    candidateWarnings = this._warningIndex.get(name);
                     if (candidateWarnings && candidateWarnings.length > 0) break;
                 }
             }
         }
         
-        // Step 2: Check each candidate warning for an exact formulation category match.
-        // The warning entry's formulation is also resolved via formulation_aliases.json —
-        // both must map to the same canonical category for a match to be accepted.
-        if (candidateWarnings && candidateWarnings.length > 0) {
-            for (const warning of candidateWarnings) {
-                const isFormMatch = warning.formulation.some(form => {
-                    const stdForm = this.standardizeFormulation(form.toLowerCase().trim());
-                    return stdForm === standardizedForm;
-                });
-                
-                if (isFormMatch) {
-                    return warning.label_number || [];
-                }
-            }
-        }
-        
-        // Fall back to a linear scan if the pre-built index was not available
-        if (!this._warningIndex) {
-            return this._findWarningLabelsFallback(medicationName, formulation);
-        }
-        
-        return [];
-    },
-    
-    /**
-     * Fallback warning label search used when the pre-built index is not available.
-     * Uses the same strict alias-category matching as findWarningLabels.
-     */
-    _findWarningLabelsFallback(medicationName, formulation) {
-        const normalizedMed = this._cachedNormalize(medicationName);
-        const canonicalMed = this._cachedCanonicalize(medicationName);
-        // Resolve the user's formulation to its canonical alias category
-        const standardizedForm = this.standardizeFormulation(formulation.toLowerCase().trim());
-        
-        for (const med of this.medicationWarnings) {
-            // Check drug name match via exact alias resolution
-            const isMedMatch = med.name.some(name => {
-                const cleanName = name.replace(/-Specialist-Drug$/i, '');
-                const normName = this._cachedNormalize(cleanName);
-                const canonName = this._cachedCanonicalize(cleanName);
-                
-                return normName === normalizedMed || 
-                       canonName === canonicalMed ||
-                       this.drugNamesMatch(medicationName, cleanName);
-            });
-            
-            if (!isMedMatch) continue;
-            
-            // Check formulation match — exact alias category equality only
-            const isFormMatch = med.formulation.some(form => {
-                const stdForm = this.standardizeFormulation(form.toLowerCase().trim());
-                return stdForm === standardizedForm;
-            });
-            
-            if (isFormMatch) {
-                return med.label_number || [];
-            }
-        }
-        
-        return [];
+        return candidateWarnings || [];
     },
     
     /**
@@ -936,7 +1197,7 @@ const MedicationManager = {
                 nameOptions.push(med.name);
             }
             for (const alias of (med.aliases || [])) {
-                if (alias.includes('-Specialist-Drug')) continue;
+                if (this.SPECIALIST_SUFFIX.test(alias)) continue;
                 if (alias.toLowerCase() === medName.toLowerCase().trim()) continue;
                 nameOptions.push(alias);
             }
@@ -954,21 +1215,114 @@ const MedicationManager = {
         };
     },
     
+    /**
+     * Get one label from bnf_labels.json
+     * @param {number} labelNumber - BNF label number
+     * @returns {Object|null} - The label ({ label_number, text, includes }), or null if there is none
+     */
+    getWarningLabel(labelNumber) {
+        return this.warningLabels.find(l => l.label_number === labelNumber) || null;
+    },
+    
+    /**
+     * Put label numbers into the order they are printed in: BNF number order,
+     * each once, leaving out any label whose wording is already part of
+     * another one in the list (e.g. label 1 when label 2 is there)
+     * @param {Array} labelNumbers - Warning label numbers in any order
+     * @returns {Array} - Label numbers to print
+     */
+    orderWarningLabels(labelNumbers) {
+        const numbers = [...new Set(labelNumbers)];
+        const covered = new Set();
+        for (const labelNum of numbers) {
+            const label = this.getWarningLabel(labelNum);
+            (label?.includes || []).forEach(included => covered.add(included));
+        }
+        return numbers.filter(labelNum => !covered.has(labelNum)).sort((a, b) => a - b);
+    },
+    
     /**
      * Get warning texts for a list of label numbers
      * @param {Array} labelNumbers - List of warning label numbers
-     * @returns {Array} - List of warning texts
+     * @param {string} [language] - Language code, e.g. "cy", or two joined by "+"
+     *                              for both, first language first (e.g. "cy+en"). Defaults to English.
+     * @returns {Array} - List of warning texts. A label without text in a language
+     *                    is printed in English instead.
      */
-    getWarningTexts(labelNumbers) {
+    getWarningTexts(labelNumbers, language = 'en') {
         const warnings = [];
+        const codes = language.split('+');
         
         for (const labelNum of labelNumbers) {
             const label = this.warningLabels.find(l => l.label_number === labelNum);
             if (label) {
-                warnings.push(label.text);
+                const texts = [...new Set(codes.map(code => this._getLabelText(label, code) || label.text))];
+                warnings.push(texts.join(' / '));
             }
         }
         
         return warnings;
+    },
+    
+    /**
+     * Label numbers that have no text yet in a language, so will be printed in English
+     * @param {Array} labelNumbers - List of warning label numbers
+     * @param {string} language - Language code as for getWarningTexts
+     * @returns {Array} - Label numbers without a translation
+     */
+    getUntranslatedLabels(labelNumbers, language) {
+        const codes = (language || 'en').split('+');
+        return labelNumbers.filter(labelNum => {
+            const label = this.getWarningLabel(labelNum);
+            return label && codes.some(code => !this._getLabelText(label, code));
+        });
+    },
+    
+    /**
+     * Name of a warning label language
+     * @param {string} language - Language code as for getWarningTexts, e.g. "cy" or "cy+en"
+     * @returns {string} - e.g. "Welsh (Cymraeg) and English". A code that isn't
+     *                     in bnf_labels.json is shown as it is.
+     */
+    getLanguageName(language) {
+        return language.split('+').map(code => {
+            const found = this.warningLanguages.find(l => l.code === code);
+            return found ? found.name : code;
+        }).join(' and ');
+    },
+    
+    /**
+     * The languages every warning label has text in, from a named source (the
+     * official wording in BNF Appendix 3). A language missing any text, or other
+     * than English with no source, is left out, so the form never offers one
+     * and then prints English or unchecked wording.
+     * @param {Array} languages - Languages listed in bnf_labels.json: [{ code, name, source }]
+     * @returns {Array} - The languages that can be offered
+     */
+    _getCompleteLanguages(languages) {
+        return languages.filter(language => {
+            if (language.code !== 'en' && !language.source) {
+                console.warn(`Not offering ${language.name} for warning labels - bnf_labels.json doesn't say where its wording is from`);
+                return false;
+            }
+            const missing = this.warningLabels
+                .filter(label => !this._getLabelText(label, language.code))
+                .map(label => label.label_number);
+            if (missing.length > 0) {
+                console.warn(`Not offering ${language.name} for warning labels - no text for label${missing.length === 1 ? '' : 's'} ${missing.join(', ')}`);
+            }
+            return missing.length === 0;
+        });
+    },
+    
+    /**
+     * One label's text in one language
+     * @param {Object} label - Label from bnf_labels.json
+     * @param {string} code - Language code
+     * @returns {string} - The text, or '' if there is none in that language
+     */
+    _getLabelText(label, code) {
+        if (code === 'en') return label.text;
+        return (label.translations && label.translations[code]) || '';
     }
 };
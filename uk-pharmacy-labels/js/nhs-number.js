@@ -0,0 +1,86 @@
+/**
+ * Downtime Pharmacy Label Generator
+ * NHS Number Module
+ * Checks NHS numbers with the Modulus 11 check digit and formats them
+ * in the standard 3-3-4 grouping (e.g. 943 476 5919)
+ */
+
+const NhsNumber = {
+    /**
+     * Strip the spaces and hyphens people commonly type between digit groups
+     * @param {string} value - NHS number as typed
+     * @returns {string} - NHS number with separators removed
+     */
+    normalize(value) {
+        if (!value) return '';
+        return value.replace(/[\s-]/g, '');
+    },
+
+    /**
+     * Check an NHS number and explain why it fails, if it does.
+     *
+     * The tenth digit of every NHS number is a check digit calculated from the
+     * first nine (the "Modulus 11" algorithm). A single mistyped digit or two
+     * swapped neighbouring digits will almost always produce the wrong check
+     * digit, which is how this catches typing errors before they reach a label.
+     * @param {string} value - NHS number as typed
+     * @returns {Object} - { valid: boolean, reason: string }
+     */
+    validate(value) {
+        const digits = this.normalize(value);
+
+        if (digits === '') {
+            return { valid: false, reason: 'No NHS number entered' };
+        }
+
+        if (!/^\d{10}$/.test(digits)) {
+            return { valid: false, reason: 'NHS number must be 10 digits' };
+        }
+
+        // Numbers made of one repeated digit (e.g. 0000000000) pass the check digit
+        // calculation but are never issued, so treat them as typing errors
+        if (/^(\d)\1{9}$/.test(digits)) {
+            return { valid: false, reason: 'NHS number cannot be a single repeated digit' };
+        }
+
+        // Multiply each of the first nine digits by a weight from 10 down to 2
+        let total = 0;
+        for (let i = 0; i < 9; i++) {
+            total += parseInt(digits[i], 10) * (10 - i);
+        }
+
+        let checkDigit = 11 - (total % 11);
+        if (checkDigit === 11) checkDigit = 0;
+
+        // A result of 10 means no valid NHS number can start with these nine digits
+        if (checkDigit === 10 || checkDigit !== parseInt(digits[9], 10)) {
+            return { valid: false, reason: 'Check digit does not match - please re-check the number' };
+        }
+
+        return { valid: true, reason: '' };
+    },
+
+    /**
+     * Check whether an NHS number passes the Modulus 11 check
+     * @param {string} value - NHS number as typed
+     * @returns {boolean} - True if the number is valid
+     */
+    isValid(value) {
+        return this.validate(value).valid;
+    },
+
+    /**
+     * Format an NHS number in the standard 3-3-4 grouping for display.
+     * Anything that isn't 10 digits (e.g. an overridden temporary number)
+     * is returned as it was typed.
+     * @param {string} value - NHS number
+     * @returns {string} - Formatted NHS number
+     */
+    format(value) {
+        const digits = this.normalize(value);
+        if (!/^\d{10}$/.test(digits)) {
+            return (value || '').trim();
+        }
+        return `${digits.slice(0, 3)} ${digits.slice(3, 6)} ${digits.slice(6)}`;
+    }
+};
@@ -0,0 +1,183 @@
+/**
+ * Downtime Pharmacy Label Generator
+ * Offline Status Module
+ * Checks on startup that the offline copy saved by the service worker is complete
+ * (every file in asset-manifest.json present and matching its hash) and current,
+ * and shows the result in the page header. Staff can then see before downtime
+ * starts whether this device will still have everything, including the warning
+ * label data, once the network is gone.
+ */
+
+const OfflineStatus = {
+    // An offline copy older than this is flagged when the app can't check for a newer one
+    STALE_AFTER_DAYS: 30,
+
+    // How long to wait for the service worker to say which version it is running
+    VERSION_TIMEOUT_MS: 3000,
+
+    /**
+     * Check the offline copy and update the header indicator
+     */
+    async check() {
+        this.setStatus('checking', 'Checking offline copy...', '');
+
+        try {
+            const result = await this._inspect();
+            this.setStatus(result.state, result.text, result.details);
+        } catch (error) {
+            console.error('Error checking offline copy:', error);
+            this.setStatus('warning', 'Offline copy not checked', `The offline copy could not be checked: ${error.message}`);
+        }
+    },
+
+    /**
+     * Update the header indicator
+     * @param {string} state - 'ok', 'warning', 'error' or 'checking'
+     * @param {string} text - Short status shown in the header
+     * @param {string} details - Longer explanation shown on hover
+     */
+    setStatus(state, text, details) {
+        const indicator = document.getElementById('offline-status');
+        if (!indicator) return;
+
+        indicator.className = `offline-status ${state}`;
+        indicator.textContent = text;
+        indicator.title = details;
+    },
+
+    /**
+     * Work out the state of the offline copy
+     * @returns {Promise<Object>} - { state, text, details }
+     */
+    async _inspect() {
+        if (!('serviceWorker' in navigator) || !window.caches) {
+            return {
+                state: 'error',
+                text: 'Offline use not available',
+                details: 'This browser cannot save the app for offline use. Open it in an up-to-date browser over HTTPS.'
+            };
+        }
+
+        const controller = navigator.serviceWorker.controller;
+        if (!controller) {
+            return {
+                state: 'warning',
+                text: 'Not yet saved for offline use',
+                details: 'The app is still being saved to this device. Keep this page open while online, then reload it.'
+            };
+        }
+
+        const active = await this._askVersion(controller);
+        const cache = await caches.open(active.cacheName);
+
+        const manifestResponse = await cache.match('asset-manifest.json');
+        if (!manifestResponse) {
+            return {
+                state: 'error',
+                text: 'Offline copy incomplete',
+                details: 'The list of app files is missing from the offline copy. Reload the page while online.'
+            };
+        }
+        const manifest = await manifestResponse.json();
+
+        // Every file must be present, and match its hash where this browser can check it
+        const canHash = !!(window.crypto && window.crypto.subtle);
+        const missing = [];
+        const altered = [];
+
+        for (const file of manifest.files) {
+            const cached = await cache.match(file.url);
+            if (!cached) {
+                missing.push(file.url);
+            } else if (canHash && await this._sha256(cached) !== file.sha256) {
+                altered.push(file.url);
+            }
+        }
+
+        const builtDate = new Date(manifest.generated).toLocaleDateString('en-GB');
+        const versionText = `Version ${manifest.version}, built ${builtDate}.`;
+
+        if (missing.length > 0 || altered.length > 0) {
+            const problems = missing.map(url => `Missing: ${url}`)
+                .concat(altered.map(url => `Does not match manifest: ${url}`));
+            return {
+                state: 'error',
+                text: `Offline copy incomplete (${problems.length} file${problems.length === 1 ? '' : 's'})`,
+                details: `${versionText} Reload the page while online to repair it.\n\n${problems.join('\n')}`
+            };
+        }
+
+        const verifiedText = `All ${manifest.files.length} files ${canHash ? 'present and verified' : 'present'}.`;
+
+        // Compare with the version on the server, if it can be reached
+        const latest = await this._fetchLatestManifest();
+        if (latest && latest.version !== manifest.version) {
+            return {
+                state: 'warning',
+                text: 'Offline ready - update available',
+                details: `${versionText} ${verifiedText}\nA newer version (${latest.version}) is being downloaded.`
+            };
+        }
+
+        const ageDays = Math.floor((Date.now() - new Date(manifest.generated).getTime()) / (24 * 60 * 60 * 1000));
+        if (!latest && ageDays > this.STALE_AFTER_DAYS) {
+            return {
+                state: 'warning',
+                text: `Offline ready - ${ageDays} days old`,
+                details: `${versionText} ${verifiedText}\nCould not check for a newer version. Connect to the network and reload to update.`
+            };
+        }
+
+        return {
+            state: 'ok',
+            text: 'Offline ready',
+            details: `${versionText} ${verifiedText}${latest ? '\nThis is the latest version.' : ''}`
+        };
+    },
+
+    /**
+     * Ask the service worker which version and cache it is serving the app from
+     * @param {ServiceWorker} controller - Service worker controlling this page
+     * @returns {Promise<Object>} - { version, cacheName }
+     */
+    _askVersion(controller) {
+        return new Promise((resolve, reject) => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => reject(new Error('No reply from the service worker')), this.VERSION_TIMEOUT_MS);
+            channel.port1.onmessage = event => {
+                clearTimeout(timer);
+                resolve(event.data);
+            };
+            controller.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+        });
+    },
+
+    /**
+     * Load the asset manifest from the server
+     * @returns {Promise<Object|null>} - Latest manifest, or null when offline
+     */
+    async _fetchLatestManifest() {
+        if (!navigator.onLine) return null;
+
+        try {
+            const response = await fetch('asset-manifest.json', { cache: 'no-store' });
+            // The service worker answers with its own copy when the server can't be reached
+            if (!response.ok || response.headers.get('X-Served-From-Cache')) return null;
+            return await response.json();
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Hash a cached file so it can be compared with the manifest
+     * @param {Response} response - Cached response
+     * @returns {Promise<string>} - SHA-256 hash as hex
+     */
+    async _sha256(response) {
+        const digest = await window.crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+};
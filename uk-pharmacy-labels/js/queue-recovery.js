@@ -0,0 +1,431 @@
+/**
+ * Downtime Pharmacy Label Generator
+ * Queue Recovery Module
+ * Optionally keeps an encrypted copy of the label queue on this device, so an
+ * accidental refresh or app update doesn't lose a half-built batch of labels.
+ *
+ * Recovery is off until the user switches it on and chooses a passphrase.
+ * The queue is encrypted in the browser (AES-GCM, with the key derived from the
+ * passphrase using PBKDF2) before it is written to IndexedDB, and the passphrase
+ * itself is never stored. The saved copy expires after a set number of hours and
+ * is deleted on "New Patient" and after printing.
+ */
+
+const QueueRecovery = {
+    DB_NAME: 'uk-pharmacy-labels',
+    STORE_NAME: 'queue-recovery',
+    RECORD_ID: 'queue',
+
+    // Key used to remember the chosen expiry time on this device
+    EXPIRY_STORAGE_KEY: 'queueRecoveryExpiryHours',
+    DEFAULT_EXPIRY_HOURS: 8,
+    MAX_EXPIRY_HOURS: 72,
+
+    MIN_PASSPHRASE_LENGTH: 8,
+
+    // Number of PBKDF2 rounds - makes guessing the passphrase slow
+    PBKDF2_ITERATIONS: 310000,
+
+    // Encryption key and salt for this session. Only held in memory, so after a
+    // reload the passphrase has to be entered again to recover the queue.
+    _key: null,
+    _salt: null,
+
+    // Saves are queued one after another so an older copy never overwrites a newer one
+    _pending: Promise.resolve(),
+
+    // Supplied by the app: returns the current queue / puts a recovered queue back
+    _getQueue: null,
+    _onRestore: null,
+
+    /**
+     * Check whether this browser can encrypt and store the queue.
+     * WebCrypto is only available on HTTPS pages (and localhost).
+     * @returns {boolean} - True if queue recovery can be used
+     */
+    isSupported() {
+        return !!(window.indexedDB && window.crypto && window.crypto.subtle && window.isSecureContext !== false);
+    },
+
+    /**
+     * Whether queue recovery is switched on for this session
+     * @returns {boolean} - True if the queue is being saved
+     */
+    isEnabled() {
+        return this._key !== null;
+    },
+
+    /**
+     * Number of hours a saved queue is kept before it expires
+     * @returns {number} - Expiry time in hours
+     */
+    getExpiryHours() {
+        const saved = parseFloat(localStorage.getItem(this.EXPIRY_STORAGE_KEY));
+        if (saved > 0 && saved <= this.MAX_EXPIRY_HOURS) {
+            return saved;
+        }
+        return this.DEFAULT_EXPIRY_HOURS;
+    },
+
+    /**
+     * Set up the recovery checkbox and offer to restore a saved queue, if there is one
+     * @param {Object} options - { getQueue: returns the current queue array,
+     *                           onRestore: called with a recovered queue array }
+     */
+    async init(options) {
+        this._getQueue = options.getQueue;
+        this._onRestore = options.onRestore;
+
+        const checkbox = document.getElementById('recovery-enabled');
+
+        if (!this.isSupported()) {
+            checkbox.disabled = true;
+            this.updateStatus('Queue recovery needs the app to be opened over HTTPS');
+            return;
+        }
+
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                this.showSetupModal();
+            } else {
+                this.disable();
+            }
+        });
+
+        let record = null;
+        try {
+            record = await this._readRecord();
+        } catch (error) {
+            console.error('Error reading saved queue:', error);
+            return;
+        }
+
+        if (!record) return;
+
+        if (Date.now() > record.expiresAt) {
+            await this.clear();
+            this.updateStatus('A saved queue had expired and has been deleted');
+            return;
+        }
+
+        this.showRestoreModal(record);
+    },
+
+    /**
+     * Encrypt and save the queue. An empty queue deletes the saved copy.
+     * Does nothing unless recovery is switched on.
+     * @param {Array} queue - The label queue
+     * @returns {Promise} - Resolves once the queue has been written
+     */
+    save(queue) {
+        if (!this.isEnabled()) return this._pending;
+
+        // Copy now, so later changes to the queue don't alter what is being saved
+        const snapshot = JSON.stringify(queue);
+        const isEmpty = queue.length === 0;
+
+        this._pending = this._pending.then(async () => {
+            if (!this.isEnabled()) return;
+
+            if (isEmpty) {
+                await this._deleteRecord();
+                this.updateStatus('Recovery on - queue is empty');
+                return;
+            }
+
+            const iv = window.crypto.getRandomValues(new Uint8Array(12));
+            const ciphertext = await window.crypto.subtle.encrypt(
+                { name: 'AES-GCM', iv },
+                this._key,
+                new TextEncoder().encode(snapshot)
+            );
+
+            const savedAt = Date.now();
+            await this._writeRecord({
+                id: this.RECORD_ID,
+                salt: this._salt,
+                iv,
+                ciphertext,
+                savedAt,
+                expiresAt: savedAt + this.getExpiryHours() * 60 * 60 * 1000
+            });
+
+            this.updateStatus(`Recovery on - saved at ${new Date(savedAt).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}`);
+        }).catch(error => {
+            console.error('Error saving queue for recovery:', error);
+            this.updateStatus('Recovery on - the last change could not be saved');
+        });
+
+        return this._pending;
+    },
+
+    /**
+     * Delete the saved copy of the queue. Recovery stays switched on, so the
+     * next change to the queue is saved again.
+     * @returns {Promise} - Resolves once the copy has been deleted
+     */
+    clear() {
+        this._pending = this._pending.then(() => this._deleteRecord()).catch(error => {
+            console.error('Error deleting saved queue:', error);
+        });
+
+        if (this.isEnabled()) {
+            this.updateStatus('Recovery on - saved copy deleted');
+        }
+
+        return this._pending;
+    },
+
+    /**
+     * Switch recovery off: forget the key and delete the saved copy
+     */
+    disable() {
+        this._key = null;
+        this._salt = null;
+        this.clear();
+        document.getElementById('recovery-enabled').checked = false;
+        this.updateStatus('');
+    },
+
+    /**
+     * Show a short message next to the recovery checkbox
+     * @param {string} message - Status text
+     */
+    updateStatus(message) {
+        const status = document.getElementById('recovery-status');
+        if (status) status.textContent = message;
+    },
+
+    /**
+     * Ask for a new passphrase and expiry time, then start saving the queue
+     */
+    showSetupModal() {
+        this._showModal({
+            title: 'Turn On Queue Recovery',
+            description: 'The queue will be saved on this computer, encrypted with a passphrase you choose. ' +
+                'If the page is refreshed, you will need the passphrase to get the queue back. ' +
+                'The saved copy is deleted on "New Patient", after printing, and when it expires.',
+            showExpiry: true,
+            confirmText: 'Turn On',
+            showDiscard: false,
+            onConfirm: async (passphrase, expiryHours) => {
+                if (passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+                    return `Please use a passphrase of at least ${this.MIN_PASSPHRASE_LENGTH} characters.`;
+                }
+                if (!(expiryHours > 0 && expiryHours <= this.MAX_EXPIRY_HOURS)) {
+                    return `Please choose an expiry time between 1 and ${this.MAX_EXPIRY_HOURS} hours.`;
+                }
+
+                localStorage.setItem(this.EXPIRY_STORAGE_KEY, String(expiryHours));
+                this._salt = window.crypto.getRandomValues(new Uint8Array(16));
+                this._key = await this._deriveKey(passphrase, this._salt);
+                this.save(this._getQueue());
+                return null;
+            },
+            onCancel: () => {
+                document.getElementById('recovery-enabled').checked = false;
+            }
+        });
+    },
+
+    /**
+     * Offer to decrypt and restore a saved queue
+     * @param {Object} record - Saved record from IndexedDB
+     */
+    showRestoreModal(record) {
+        const savedAt = new Date(record.savedAt).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' });
+        const expiresAt = new Date(record.expiresAt).toLocaleString('en-GB', { dateStyle: 'short', timeStyle: 'short' });
+
+        this._showModal({
+            title: 'Recover Saved Queue?',
+            description: `A label queue saved at ${savedAt} was found on this computer. ` +
+                `Enter its passphrase to recover it, or discard it. If left, it will be deleted automatically at ${expiresAt}.`,
+            showExpiry: false,
+            confirmText: 'Recover Queue',
+            showDiscard: true,
+            onConfirm: async (passphrase) => {
+                const key = await this._deriveKey(passphrase, record.salt);
+                let queue;
+                try {
+                    const plaintext = await window.crypto.subtle.decrypt(
+                        { name: 'AES-GCM', iv: record.iv },
+                        key,
+                        record.ciphertext
+                    );
+                    queue = JSON.parse(new TextDecoder().decode(plaintext));
+                } catch (error) {
+                    // AES-GCM refuses to decrypt with the wrong key
+                    return 'That passphrase does not match the saved queue.';
+                }
+
+                // Carry on saving with the same passphrase
+                this._salt = record.salt;
+                this._key = key;
+                document.getElementById('recovery-enabled').checked = true;
+                this._onRestore(queue);
+                return null;
+            },
+            onDiscard: () => {
+                this.clear();
+                this.updateStatus('Saved queue discarded');
+            },
+            onCancel: () => {
+                this.updateStatus(`Saved queue not recovered - it will be deleted at ${expiresAt}`);
+            }
+        });
+    },
+
+    /**
+     * Show the passphrase modal
+     * @param {Object} options - Title, description, which fields to show, and handlers.
+     *                           onConfirm returns an error message to show, or null when done.
+     */
+    _showModal(options) {
+        const modal = document.getElementById('recovery-modal');
+        const passphraseInput = document.getElementById('recovery-passphrase');
+        const expiryRow = document.getElementById('recovery-expiry-row');
+        const expiryInput = document.getElementById('recovery-expiry-hours');
+        const errorDiv = document.getElementById('recovery-modal-error');
+
+        document.getElementById('recovery-modal-title').textContent = options.title;
+        document.getElementById('recovery-modal-description').textContent = options.description;
+        passphraseInput.value = '';
+        expiryInput.value = this.getExpiryHours();
+        expiryRow.classList.toggle('hidden', !options.showExpiry);
+        errorDiv.textContent = '';
+
+        // Replace buttons with fresh copies so handlers from a previous opening don't stack up
+        const confirmBtn = document.getElementById('recovery-modal-confirm');
+        const discardBtn = document.getElementById('recovery-modal-discard');
+        const cancelBtn = document.getElementById('recovery-modal-cancel');
+
+        const newConfirmBtn = confirmBtn.cloneNode(true);
+        const newDiscardBtn = discardBtn.cloneNode(true);
+        const newCancelBtn = cancelBtn.cloneNode(true);
+
+        confirmBtn.parentNode.replaceChild(newConfirmBtn, confirmBtn);
+        discardBtn.parentNode.replaceChild(newDiscardBtn, discardBtn);
+        cancelBtn.parentNode.replaceChild(newCancelBtn, cancelBtn);
+
+        newConfirmBtn.textContent = options.confirmText;
+        newDiscardBtn.classList.toggle('hidden', !options.showDiscard);
+
+        const close = () => {
+            passphraseInput.value = '';
+            modal.classList.remove('visible');
+        };
+
+        newConfirmBtn.addEventListener('click', async () => {
+            newConfirmBtn.disabled = true;
+            try {
+                const error = await options.onConfirm(passphraseInput.value, parseFloat(expiryInput.value));
+                if (error) {
+                    errorDiv.textContent = error;
+                    passphraseInput.focus();
+                } else {
+                    close();
+                }
+            } finally {
+                newConfirmBtn.disabled = false;
+            }
+        });
+
+        newDiscardBtn.addEventListener('click', () => {
+            close();
+            if (options.onDiscard) options.onDiscard();
+        });
+
+        newCancelBtn.addEventListener('click', () => {
+            close();
+            if (options.onCancel) options.onCancel();
+        });
+
+        modal.classList.add('visible');
+        passphraseInput.focus();
+    },
+
+    /**
+     * Turn a passphrase into an AES-GCM encryption key
+     * @param {string} passphrase - Passphrase typed by the user
+     * @param {Uint8Array} salt - Random salt stored alongside the saved queue
+     * @returns {Promise<CryptoKey>} - Key that cannot be exported from the browser
+     */
+    async _deriveKey(passphrase, salt) {
+        const baseKey = await window.crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return window.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: this.PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Open the IndexedDB database, creating the store on first use
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    _openDb() {
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Run a single request against the recovery store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Given the object store, returns an IDBRequest
+     * @returns {Promise<*>} - Result of the request
+     */
+    async _withStore(mode, makeRequest) {
+        const db = await this._openDb();
+        try {
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(this.STORE_NAME, mode);
+                const request = makeRequest(transaction.objectStore(this.STORE_NAME));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        } finally {
+            db.close();
+        }
+    },
+
+    /**
+     * Read the saved queue record
+     * @returns {Promise<Object|undefined>} - Saved record, or undefined if there isn't one
+     */
+    _readRecord() {
+        return this._withStore('readonly', store => store.get(this.RECORD_ID));
+    },
+
+    /**
+     * Save the encrypted queue record, replacing any earlier one
+     * @param {Object} record - Record to store
+     * @returns {Promise} - Resolves once written
+     */
+    _writeRecord(record) {
+        return this._withStore('readwrite', store => store.put(record));
+    },
+
+    /**
+     * Delete the saved queue record
+     * @returns {Promise} - Resolves once deleted
+     */
+    _deleteRecord() {
+        return this._withStore('readwrite', store => store.delete(this.RECORD_ID));
+    }
+};
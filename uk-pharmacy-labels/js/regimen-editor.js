@@ -0,0 +1,357 @@
+/**
+ * Downtime Pharmacy Label Generator
+ * Regimen Editor Module
+ * Helps with courses given in steps, such as a prednisolone reducing course
+ * or a loading dose followed by a maintenance dose.
+ *
+ * - Shows the total quantity the shorthand needs (e.g. 100 tablets for
+ *   "8t od 5/7 then 6t od 5/7 then 4t od 5/7 then 2t od 5/7") so it can be
+ *   used as the quantity to supply.
+ * - Provides an editor where each step is entered in its own row, which is
+ *   turned into "then" shorthand and applied like typed shorthand.
+ */
+
+const RegimenEditor = {
+    // The shorthand input box
+    _input: null,
+
+    // Returns the category of the formulation selected on the form
+    _getFormulationCategory: () => '',
+
+    // Total worked out for the shorthand last checked, or null
+    _total: null,
+
+    /**
+     * Show the total as the shorthand is typed and set up the editor
+     * @param {HTMLInputElement} input - The shorthand input box
+     * @param {Function} getFormulationCategory - Returns the category of the selected formulation
+     */
+    init(input, getFormulationCategory) {
+        this._input = input;
+        this._getFormulationCategory = getFormulationCategory;
+
+        // The total stays showing after the shorthand is applied, until something new is typed
+        input.addEventListener('input', () => this.updateTotal(input.value));
+        document.getElementById('label-form').addEventListener('reset', () => this.updateTotal(''));
+
+        document.getElementById('shorthand-total-use').addEventListener('click', () => this._useTotalAsQuantity());
+        document.getElementById('regimen-btn').addEventListener('click', () => this.showModal());
+        document.getElementById('regimen-add-step').addEventListener('click', () => {
+            const rows = document.querySelectorAll('#regimen-steps .regimen-step');
+            const last = rows.length > 0 ? this._readRow(rows[rows.length - 1]) : null;
+            // A new step usually keeps the unit, frequency and duration and changes the dose
+            this._addRow(last ? Object.assign({}, last, { dose: '' }) : null);
+            this._updatePreview();
+        });
+        document.getElementById('regimen-cancel').addEventListener('click', () => this._closeModal());
+        document.getElementById('regimen-use').addEventListener('click', () => this._useSteps());
+    },
+
+    /**
+     * Work out and show the total quantity some shorthand needs
+     * @param {string} shorthand - Shorthand typed by the user
+     */
+    updateTotal(shorthand) {
+        const panel = document.getElementById('shorthand-total');
+        const model = DosageParser.parse(shorthand, this._getFormulationCategory());
+        const total = shorthand.trim() ? DosageParser.getTotalQuantity(model) : { quantity: null };
+
+        this._total = total.quantity !== null ? total : null;
+        panel.classList.toggle('hidden', this._total === null);
+        if (this._total) {
+            document.getElementById('shorthand-total-text').textContent = this.describeTotal(this._total);
+        }
+    },
+
+    /**
+     * Wording for a total from DosageParser.getTotalQuantity
+     * @param {Object} total - { quantity, unit, plural, usesRangeMaximum }
+     * @returns {string} - e.g. "Total for this course: 100 tablets"
+     */
+    describeTotal(total) {
+        const unit = total.quantity === 1 ? total.unit : total.plural;
+        const range = total.usesRangeMaximum ? ' (using the higher dose of each range)' : '';
+        return `Total for this course: ${total.quantity} ${unit}${range}`;
+    },
+
+    /**
+     * Open the editor, starting from the shorthand in the box if it is a course
+     * the editor can show, or from one empty step if not
+     */
+    showModal() {
+        const container = document.getElementById('regimen-steps');
+        container.innerHTML = '';
+
+        const steps = this._readSteps(this._input.value);
+        if (steps) {
+            steps.forEach(step => this._addRow(step));
+        } else {
+            this._addRow(null);
+        }
+
+        this._updatePreview();
+        document.getElementById('regimen-modal').classList.add('visible');
+        container.querySelector('input').focus();
+    },
+
+    /**
+     * Put the total quantity into the Quantity field
+     * @private
+     */
+    _useTotalAsQuantity() {
+        if (!this._total) return;
+        const quantityInput = document.getElementById('med-quantity');
+        quantityInput.value = String(this._total.quantity);
+        quantityInput.dispatchEvent(new Event('input', { bubbles: true }));
+    },
+
+    /**
+     * Units the editor offers: every dose family that takes a number
+     * @private
+     * @returns {Array<Object>} - Dose families from ShorthandCodes
+     */
+    _getUnits() {
+        return ShorthandCodes.doseFamilies.filter(family => !family.placeholderOnly);
+    },
+
+    /**
+     * Frequencies the editor offers: those a total can be worked out for
+     * @private
+     * @returns {Array<Object>} - Registered frequency definitions
+     */
+    _getFrequencies() {
+        return ShorthandCodes.getBySource('built-in').filter(definition =>
+            definition.type === 'frequency' &&
+            (definition.code in ShorthandCodes.dosesPerDay || definition.code in ShorthandCodes.totalDoses));
+    },
+
+    /**
+     * Duration units the editor offers: those that can be counted in days
+     * @private
+     * @returns {Array<Array<string>>} - [divisor, unit] pairs, e.g. ['7', 'day']
+     */
+    _getDurationUnits() {
+        return Object.entries(ShorthandCodes.durationUnits).filter(([, unit]) => unit in ShorthandCodes.durationDays);
+    },
+
+    /**
+     * Read shorthand into editor steps, if every step is a single dose, frequency and duration
+     * @private
+     * @param {string} shorthand - Shorthand typed by the user
+     * @returns {Array<Object>|null} - [{ dose, suffix, frequency, duration, durationDivisor }], or null
+     */
+    _readSteps(shorthand) {
+        const model = DosageParser.parse(shorthand);
+        if (model.unrecognised.length > 0 || model.ambiguous.length > 0) return null;
+
+        const steps = [];
+        for (const step of DosageParser.getSteps(model)) {
+            const clause = step[0];
+            if (step.length !== 1 || !clause.dose || !clause.dose.code || clause.frequencies.length !== 1 ||
+                clause.durations.length > 1 || clause.dose.placeholder || clause.dose.max !== null) {
+                return null;
+            }
+
+            const family = this._getUnits().find(unit => clause.dose.code === `${clause.dose.min}${unit.suffix}`);
+            const frequency = clause.frequencies[0].code;
+            if (!family || !this._getFrequencies().some(definition => definition.code === frequency)) return null;
+
+            const duration = clause.durations[0];
+            const divisor = duration ? duration.code.split('/')[1] : '7';
+            if (duration && !this._getDurationUnits().some(([unitDivisor]) => unitDivisor === divisor)) return null;
+
+            steps.push({
+                dose: String(clause.dose.min),
+                suffix: family.suffix,
+                frequency,
+                duration: duration ? String(duration.duration.value) : '',
+                durationDivisor: divisor
+            });
+        }
+        return steps.length > 0 ? steps : null;
+    },
+
+    /**
+     * Add a step row to the editor
+     * @private
+     * @param {Object|null} step - Values to fill in, or null for an empty step
+     */
+    _addRow(step) {
+        const container = document.getElementById('regimen-steps');
+        const row = document.createElement('div');
+        row.className = 'regimen-step';
+
+        const number = document.createElement('span');
+        number.className = 'regimen-step-number';
+        row.appendChild(number);
+
+        const doseInput = this._createInput('regimen-dose', 'Dose', step ? step.dose : '');
+        doseInput.step = '0.5';
+        row.appendChild(doseInput);
+
+        row.appendChild(this._createSelect('regimen-unit', 'Unit', this._getUnits().map(family => [family.suffix, family.plural]),
+            step ? step.suffix : 't'));
+        row.appendChild(this._createSelect('regimen-frequency', 'Frequency',
+            this._getFrequencies().map(definition => [definition.code, `${definition.displayCode} - ${definition.text}`]),
+            step ? step.frequency : 'od'));
+
+        const forLabel = document.createElement('span');
+        forLabel.textContent = 'for';
+        row.appendChild(forLabel);
+
+        row.appendChild(this._createInput('regimen-duration', 'Duration', step ? step.duration : ''));
+        row.appendChild(this._createSelect('regimen-duration-unit', 'Duration unit',
+            this._getDurationUnits().map(([divisor, unit]) => [divisor, `${unit}s`]),
+            step ? step.durationDivisor : '7'));
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'secondary-btn';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            row.remove();
+            this._updatePreview();
+        });
+        row.appendChild(removeButton);
+
+        row.addEventListener('input', () => this._updatePreview());
+        row.addEventListener('change', () => this._updatePreview());
+        container.appendChild(row);
+    },
+
+    /**
+     * Number box for a step row
+     * @private
+     * @param {string} className - Class used to find the box again
+     * @param {string} label - Accessible name
+     * @param {string} value - Starting value
+     * @returns {HTMLInputElement} - The box
+     */
+    _createInput(className, label, value) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.className = className;
+        input.setAttribute('aria-label', label);
+        input.value = value;
+        return input;
+    },
+
+    /**
+     * Drop-down for a step row
+     * @private
+     * @param {string} className - Class used to find the drop-down again
+     * @param {string} label - Accessible name
+     * @param {Array<Array<string>>} options - [value, text] pairs
+     * @param {string} value - Value selected to start with
+     * @returns {HTMLSelectElement} - The drop-down
+     */
+    _createSelect(className, label, options, value) {
+        const select = document.createElement('select');
+        select.className = className;
+        select.setAttribute('aria-label', label);
+        options.forEach(([optionValue, text]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = value;
+        return select;
+    },
+
+    /**
+     * Values entered in a step row
+     * @private
+     * @param {HTMLElement} row - The step row
+     * @returns {Object} - { dose, suffix, frequency, duration, durationDivisor }
+     */
+    _readRow(row) {
+        return {
+            dose: row.querySelector('.regimen-dose').value.trim(),
+            suffix: row.querySelector('.regimen-unit').value,
+            frequency: row.querySelector('.regimen-frequency').value,
+            duration: row.querySelector('.regimen-duration').value.trim(),
+            durationDivisor: row.querySelector('.regimen-duration-unit').value
+        };
+    },
+
+    /**
+     * Turn the editor's steps into shorthand
+     * @private
+     * @returns {Object} - { shorthand, errors }
+     */
+    _buildShorthand() {
+        const errors = [];
+        const parts = [];
+
+        document.querySelectorAll('#regimen-steps .regimen-step').forEach((row, index) => {
+            const step = this._readRow(row);
+            row.querySelector('.regimen-step-number').textContent = `Step ${index + 1}:`;
+
+            const dose = parseFloat(step.dose);
+            const duration = Number(step.duration);
+            const needsDuration = !(step.frequency in ShorthandCodes.totalDoses);
+
+            if (!(dose > 0)) {
+                errors.push(`Step ${index + 1} needs a dose.`);
+                return;
+            }
+            if (step.duration ? !(Number.isInteger(duration) && duration > 0) : needsDuration) {
+                errors.push(`Step ${index + 1} needs a duration in whole ${needsDuration ? 'days or weeks' : 'numbers'}.`);
+                return;
+            }
+
+            const durationCode = step.duration ? ` ${duration}/${step.durationDivisor}` : '';
+            parts.push(`${dose}${step.suffix} ${step.frequency}${durationCode}`);
+        });
+
+        if (parts.length === 0 && errors.length === 0) {
+            errors.push('Add at least one step.');
+        }
+        return { shorthand: parts.join(' then '), errors };
+    },
+
+    /**
+     * Show the shorthand, label wording and total for the steps entered
+     * @private
+     */
+    _updatePreview() {
+        const { shorthand, errors } = this._buildShorthand();
+        const category = this._getFormulationCategory();
+        const total = DosageParser.getTotalQuantity(DosageParser.parse(shorthand, category));
+
+        document.getElementById('regimen-shorthand').textContent = shorthand ? `Shorthand: ${shorthand}` : '';
+        document.getElementById('regimen-text').textContent = LabelGenerator.translateShorthand(shorthand, category);
+        document.getElementById('regimen-total').textContent =
+            errors.length === 0 && total.quantity !== null ? this.describeTotal(total) : '';
+        document.getElementById('regimen-error').textContent = errors.join(' ');
+        document.getElementById('regimen-use').disabled = errors.length > 0;
+    },
+
+    /**
+     * Apply the steps as shorthand, and use the total as the quantity if none has been entered
+     * @private
+     */
+    _useSteps() {
+        const { shorthand, errors } = this._buildShorthand();
+        if (errors.length > 0) return;
+
+        this._closeModal();
+        this._input.value = shorthand;
+        this._input.dispatchEvent(new Event('input', { bubbles: true }));
+
+        if (this._total && !document.getElementById('med-quantity').value.trim()) {
+            this._useTotalAsQuantity();
+        }
+        document.getElementById('apply-shorthand-btn').click();
+    },
+
+    /**
+     * Close the editor
+     * @private
+     */
+    _closeModal() {
+        document.getElementById('regimen-modal').classList.remove('visible');
+    }
+};
@@ -0,0 +1,229 @@
+/**
+ * Downtime Pharmacy Label Generator
+ * Shorthand Check Module
+ *
+ * Flags any word in the shorthand box that isn't a known code (e.g. "tsd" or
+ * "1tt") as it is typed, suggests the closest known codes, and stops the
+ * shorthand being applied until the dispenser has either corrected each
+ * flagged word or confirmed it should be kept as typed. Without this a typo
+ * would be copied straight into the dosage and printed on the label.
+ * Codes whose meaning depends on the formulation (e.g. "left" for eye or ear
+ * drops) are flagged too when the formulation doesn't settle it, as are codes
+ * that have been read in more than one way ("am" for "mane" or "pc"), and can
+ * only be corrected, not kept. So are doses and times of day that are
+ * missing their other half (e.g. the "nocte" in "2t mane nocte"), times of
+ * day given twice ("1t mane 2t mane"), times that aren't written on the
+ * 24-hour clock ("25:00", "0800"), and numbers written in a way known to
+ * cause errors (".5t", "5.0ml").
+ */
+
+const ShorthandCheck = {
+    // Flagged words the dispenser has chosen to keep as typed (lowercase)
+    _kept: new Set(),
+
+    // The shorthand input box
+    _input: null,
+
+    // Returns the category of the formulation selected on the form
+    _getFormulationCategory: () => '',
+
+    /**
+     * Start checking the shorthand box as the user types
+     * @param {HTMLInputElement} input - The shorthand input box
+     * @param {Function} getFormulationCategory - Returns the category of the selected formulation
+     */
+    init(input, getFormulationCategory) {
+        this._input = input;
+        this._getFormulationCategory = getFormulationCategory;
+        input.addEventListener('input', () => this.update());
+    },
+
+    /**
+     * Words in the shorthand that still need correcting or keeping as typed
+     * @param {string} shorthand - Shorthand typed by the user
+     * @returns {Array<string>} - Each flagged word once, in the order typed
+     */
+    getUnresolved(shorthand) {
+        return this._getFlagged(shorthand)
+            .filter(flag => flag.options || flag.message || !this._kept.has(flag.token.toLowerCase()))
+            .map(flag => flag.token);
+    },
+
+    /**
+     * Check the shorthand is ready to apply, showing what still needs attention if not
+     * @param {string} shorthand - Shorthand typed by the user
+     * @returns {boolean} - True if every word is a known code or has been kept as typed
+     */
+    confirmBeforeApply(shorthand) {
+        const unresolved = this.getUnresolved(shorthand);
+        this.update();
+
+        if (unresolved.length === 0) {
+            return true;
+        }
+
+        const message = document.getElementById('shorthand-check-message');
+        if (message) {
+            message.textContent = `Correct ${unresolved.length === 1 ? 'the highlighted word' : `each of the ${unresolved.length} highlighted words`} (or choose "Keep as typed" where offered) before applying.`;
+        }
+        const firstButton = document.querySelector('#shorthand-check button');
+        if (firstButton) firstButton.focus();
+        return false;
+    },
+
+    /**
+     * Forget words kept as typed and hide the check, once shorthand has been applied
+     */
+    reset() {
+        this._kept.clear();
+        this.update();
+    },
+
+    /**
+     * Redraw the list of flagged words under the shorthand box
+     */
+    update() {
+        const panel = document.getElementById('shorthand-check');
+        if (!panel || !this._input) return;
+
+        const shorthand = this._input.value;
+        if (!shorthand.trim()) {
+            this._kept.clear();
+        }
+
+        const flagged = this._getFlagged(shorthand);
+        panel.innerHTML = '';
+        panel.classList.toggle('hidden', flagged.length === 0);
+        if (flagged.length === 0) return;
+
+        const title = document.createElement('p');
+        title.className = 'shorthand-check-title';
+        title.textContent = 'Check this shorthand before applying:';
+        panel.appendChild(title);
+
+        flagged.forEach(flag => panel.appendChild(this._createItem(flag)));
+
+        const message = document.createElement('p');
+        message.id = 'shorthand-check-message';
+        message.className = 'shorthand-check-message';
+        panel.appendChild(message);
+    },
+
+    /**
+     * One flagged word with its suggested corrections
+     * @private
+     * @param {Object} flag - { token, options, reason, message } from _getFlagged
+     * @returns {HTMLElement} - The row to show
+     */
+    _createItem(flag) {
+        const token = flag.token;
+        const item = document.createElement('div');
+        item.className = 'shorthand-check-item';
+
+        const word = document.createElement('span');
+        word.className = 'shorthand-unknown';
+        word.textContent = token;
+        item.appendChild(word);
+
+        // Has to be rewritten as the message explains
+        if (flag.message) {
+            const note = document.createElement('span');
+            note.className = 'shorthand-kept-note';
+            note.textContent = flag.message;
+            item.appendChild(note);
+            return item;
+        }
+
+        // Depends on the formulation, or could mean more than one thing - has to be
+        // replaced by the code that's meant
+        if (flag.options) {
+            const note = document.createElement('span');
+            note.className = 'shorthand-kept-note';
+            note.textContent = `${flag.reason} - choose one:`;
+            item.appendChild(note);
+            flag.options.forEach(option => item.appendChild(this._createSuggestionButton(token, option)));
+            return item;
+        }
+
+        if (this._kept.has(token.toLowerCase())) {
+            item.classList.add('kept');
+            const note = document.createElement('span');
+            note.className = 'shorthand-kept-note';
+            note.textContent = 'kept as typed';
+            item.appendChild(note);
+            return item;
+        }
+
+        ShorthandCodes.suggest(token).forEach(suggestion => {
+            item.appendChild(this._createSuggestionButton(token, suggestion));
+        });
+
+        const keepButton = document.createElement('button');
+        keepButton.type = 'button';
+        keepButton.className = 'secondary-btn';
+        keepButton.textContent = 'Keep as typed';
+        keepButton.addEventListener('click', () => {
+            this._kept.add(token.toLowerCase());
+            this.update();
+            this._input.focus();
+        });
+        item.appendChild(keepButton);
+
+        return item;
+    },
+
+    /**
+     * Button that swaps a flagged word for a suggested code
+     * @private
+     * @param {string} token - The flagged word
+     * @param {Object} suggestion - { code, text }
+     * @returns {HTMLButtonElement} - The button
+     */
+    _createSuggestionButton(token, suggestion) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'secondary-btn shorthand-suggestion';
+        button.textContent = `${suggestion.code} (${suggestion.text})`;
+        button.addEventListener('click', () => this._replace(token, suggestion.code));
+        return button;
+    },
+
+    /**
+     * Put a suggested code in place of a flagged word in the shorthand box
+     * @private
+     * @param {string} token - The flagged word
+     * @param {string} code - The code to use instead
+     */
+    _replace(token, code) {
+        const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(^|[\\s,;-])${escaped}(?=$|[\\s,;-])`, 'g');
+        this._input.value = this._input.value.replace(pattern, (match, before) => before + code);
+        this._input.dispatchEvent(new Event('input', { bubbles: true }));
+        this._input.focus();
+    },
+
+    /**
+     * Words in the shorthand that aren't known codes, depend on a formulation
+     * that hasn't been selected, could mean more than one thing (e.g. "am"),
+     * or have a problem DosageParser explains
+     * @private
+     * @param {string} shorthand - Shorthand typed by the user
+     * @returns {Array<Object>} - [{ token, options, reason, message }] with options and reason only for
+     *                            codes that have to be replaced by one of the options, and message only
+     *                            for DosageParser problems; each word once (ignoring capitals)
+     */
+    _getFlagged(shorthand) {
+        const model = DosageParser.parse(shorthand, this._getFormulationCategory());
+        const flagged = model.unrecognised.map(token => ({ token, options: null }))
+            .concat(model.ambiguous)
+            .concat(model.problems.map(flag => ({ token: flag.token, options: null, message: flag.message })));
+
+        const seen = new Set();
+        return flagged.filter(flag => {
+            const key = flag.token.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+};
@@ -10,366 +10,1096 @@
 // script files loaded on the same page can access ShorthandCodes without needing to import it.
 const ShorthandCodes = window.ShorthandCodes = {
     /**
-     * Mapping of shorthand codes to their full text equivalents
-     */
-    mappings: {
-        // Dosage quantities - Tablets (common examples, pattern matching handles all others)
-        '1t': 'Take ONE tablet',
-        '2t': 'Take TWO tablets',
-        '3t': 'Take THREE tablets',
-        '4t': 'Take FOUR tablets',
-        '0.5t': 'Take HALF a tablet',
-        '1.5t': 'Take ONE AND A HALF tablets',
-        '2.5t': 'Take TWO AND A HALF tablets',
-        
-        // Dosage quantities - Capsules (common examples, pattern matching handles all others)
-        '1c': 'Take ONE capsule',
-        '2c': 'Take TWO capsules',
-        
-        // Dosage quantities - Liquid preparations (fixed values that don't follow a pattern)
-        '5ml': 'Take 5ml',
-        '10ml': 'Take 10ml',
-        '15ml': 'Take 15ml',
-        '20ml': 'Take 20ml',
-
-        // Dosage quantities - Inhalers (common examples, pattern matching handles all others)
-        '1p': 'Inhale ONE puff',
-        '2p': 'Inhale TWO puffs',
-        
-        // Dosage quantities - Drops (common examples, pattern matching handles all others)
-        '1d': 'Apply ONE drop',
-        '2d': 'Apply TWO drops',
-                
-        // Dosage quantities - Injections
-        
-        // Frequencies
-        'od': 'ONCE a day',
-        'om': 'on a morning',
-        'on': 'at night',
-        'bd': 'TWICE a day',
-        'tds': 'THREE times a day',
-        'qds': 'FOUR times a day',
-        'prn': 'when required',
-        'stat': 'IMMEDIATELY',
-        'mane': 'in the MORNING',
-        'nocte': 'at NIGHT',
-        'altd': 'on ALTERNATE days',
-        'altm': 'on ALTERNATE mornings',
-        'alte': 'on ALTERNATE evenings',
-        'altn': 'on ALTERNATE nights',
-        '1w': 'WEEKLY',
-        '2w': 'every TWO weeks',
-        '4w': 'every FOUR weeks',
-        '1m': 'MONTHLY',
-        '2m': 'every TWO months',
-        '3m': 'every THREE months',
-        '6m': 'every SIX months',
-        '1y': 'YEARLY',
-        
+     * Shorthand codes grouped by the part of the instruction they give, as
+     * [code, full text] pairs. The dosage parser uses the group to decide where
+     * each code goes in the sentence (e.g. a route always comes after the dose,
+     * a duration after the frequency). They are loaded through register(), so a
+     * code added twice shows up in the collision report.
+     */
+    codeGroups: {
+        dose: [
+            // Dosage quantities - Tablets (common examples, pattern matching handles all others)
+            ['1t', 'Take ONE tablet'],
+            ['2t', 'Take TWO tablets'],
+            ['3t', 'Take THREE tablets'],
+            ['4t', 'Take FOUR tablets'],
+            ['0.5t', 'Take HALF a tablet'],
+            ['1.5t', 'Take ONE AND A HALF tablets'],
+            ['2.5t', 'Take TWO AND A HALF tablets'],
+
+            // Dosage quantities - Capsules (common examples, pattern matching handles all others)
+            ['1c', 'Take ONE capsule'],
+            ['2c', 'Take TWO capsules'],
+
+            // Dosage quantities - Liquid preparations (fixed values that don't follow a pattern)
+            ['5ml', 'Take 5ml'],
+            ['10ml', 'Take 10ml'],
+            ['15ml', 'Take 15ml'],
+            ['20ml', 'Take 20ml'],
+
+            // Dosage quantities - Inhalers (common examples, pattern matching handles all others)
+            ['1p', 'Inhale ONE puff'],
+            ['2p', 'Inhale TWO puffs'],
+
+            // Dosage quantities - Drops (common examples, pattern matching handles all others)
+            ['1d', 'Apply ONE drop'],
+            ['2d', 'Apply TWO drops']
+
+            // Dosage quantities - Injections
+        ],
+
+        frequency: [
+            ['od', 'ONCE a day'],
+            ['om', 'on a morning'],
+            ['on', 'at night'],
+            ['bd', 'TWICE a day'],
+            ['tds', 'THREE times a day'],
+            ['qds', 'FOUR times a day'],
+            ['xDS', '.......... times a day'],
+            ['stat', 'IMMEDIATELY'],
+            ['mane', 'in the MORNING'],
+            ['nocte', 'at NIGHT'],
+            ['altd', 'on ALTERNATE days'],
+            ['altm', 'on ALTERNATE mornings'],
+            ['alte', 'on ALTERNATE evenings'],
+            ['altn', 'on ALTERNATE nights'],
+            ['1w', 'WEEKLY'],
+            ['2w', 'every TWO weeks'],
+            ['4w', 'every FOUR weeks'],
+            ['1m', 'MONTHLY'],
+            ['2m', 'every TWO months'],
+            ['3m', 'every THREE months'],
+            ['6m', 'every SIX months'],
+            ['1y', 'YEARLY'],
+
+            // Once a day at a set time
+            ['od07', 'ONCE a day at 7am'],
+            ['od08', 'ONCE a day at 8am'],
+            ['od12', 'ONCE a day at 12pm'],
+            ['od16', 'ONCE a day at 4pm'],
+            ['od20', 'ONCE a day at 8pm'],
+            ['od22', 'ONCE a day at 10pm']
+        ],
+
+        // "When required" - any words typed straight after it are kept as the reason (e.g. "prn pain")
+        prn: [
+            ['prn', 'when required']
+        ],
+
         // Daily timing specifications
-        'am': 'in the MORNING',
-        'od07': 'ONCE a day at 7am',
-        'od08': 'ONCE a day at 8am',
-        'od12': 'ONCE a day at 12pm',
-        'od16': 'ONCE a day at 4pm',
-        'od20': 'ONCE a day at 8pm',
-        'od22': 'ONCE a day at 10pm',
-        'pm': 'in the EVENING',
-        'dinnertime': 'at DINNER time',
-        'lunchtime': 'at LUNCH time',
-        'breakfast': 'with BREAKFAST',
-        'dinner': 'with DINNER',
-        'bm': 'BEFORE meals',
-        'am': 'AFTER meals',
-        'wm': 'WITH meals',
-        
-        // Routes
-        'po': 'by mouth',
-        'sl': 'under the tongue',
-        'buc': 'placed between the gum and cheek',
-        'pr': 'rectally',
-        'pv': 'vaginally',
-        'sc': 'subcutaneously',
-        'im': 'intramuscularly',
-        'iv': 'intravenously',
-        'inh': 'by inhalation',
-        'neb': 'via nebuliser',
-        'top': 'applied topically',
-        'td': 'applied to the skin',
-        'oc': 'into the eye(s)',
-        'au': 'into the ear(s)',
-        'nas': 'into the nose',
-        
+        timing: [
+            ['pm', 'in the EVENING'],
+            ['dinnertime', 'at DINNER time'],
+            ['lunchtime', 'at LUNCH time'],
+            ['breakfast', 'with BREAKFAST'],
+            ['dinner', 'with DINNER'],
+            ['bm', 'BEFORE meals'],
+            ['pc', 'AFTER meals'],
+            ['wm', 'WITH meals']
+        ],
+
+        route: [
+            ['po', 'by mouth'],
+            ['sl', 'under the tongue'],
+            ['buc', 'placed between the gum and cheek'],
+            ['pr', 'rectally'],
+            ['pv', 'vaginally'],
+            ['sc', 'subcutaneously'],
+            ['im', 'intramuscularly'],
+            ['iv', 'intravenously'],
+            ['inh', 'by inhalation'],
+            ['neb', 'via nebuliser'],
+            ['top', 'applied topically'],
+            ['td', 'applied to the skin'],
+            ['oc', 'into the eye(s)'],
+            ['au', 'into the ear(s)'],
+            ['nas', 'into the nose']
+        ],
+
         // Eye/Ear drop specifications
-        'le': 'into the LEFT eye',
-        're': 'into the RIGHT eye',
-        'be': 'into BOTH eyes',
-        'la': 'into the LEFT ear',
-        'ra': 'into the RIGHT ear',
-        'ba': 'into BOTH ears',
-        
+        site: [
+            ['le', 'into the LEFT eye'],
+            ['re', 'into the RIGHT eye'],
+            ['be', 'into BOTH eyes'],
+            ['la', 'into the LEFT ear'],
+            ['ra', 'into the RIGHT ear'],
+            ['ba', 'into BOTH ears']
+        ],
+
         // Instructions and special phrases
-        'wf': 'with food',
-        'bf': 'before food',
-        'af': 'after food',
-        'disp': 'disperse in water',
-        'dnc': 'not to be crushed',
-        'shake': 'shake well before use',
-        'rinse': 'rinse mouth after use',
-        'nswallow': 'do not swallow',
-        'c+d': 'tablet may be crushed and dispersed in water',
-        'crush': 'tablet may be crushed',
-        'open': 'capsule may be opened and the contents dispersed in water',
-        'whole': 'swallow whole, do not chew or crush',
-        'protect': 'protect from light',
-        'fridge': 'store in a refrigerator',
-        'discard': 'discard after 28 days of opening',
-        'utd': 'as directed',
-        'mdu': 'as directed',
-        'asd': 'as directed',
-        
-        // Duration specifications (explicitly defined for common values)
-        '1/7': 'for ONE day',
-        '2/7': 'for TWO days',
-        '3/7': 'for THREE days',
-        '4/7': 'for FOUR days',
-        '5/7': 'for FIVE days',
-        '6/7': 'for SIX days',
-        '7/7': 'for SEVEN days',
-        '8/7': 'for EIGHT days',
-        '9/7': 'for NINE days',
-        '10/7': 'for TEN days',
-        '11/7': 'for ELEVEN days',
-        '12/7': 'for TWELVE days',
-        '13/7': 'for THIRTEEN days',
-        '14/7': 'for FOURTEEN days',
-        
-        // Weeks and months examples (explicit mappings)
-        '1/52': 'for ONE week',
-        '2/52': 'for TWO weeks',
-        '4/52': 'for FOUR weeks',
-        '1/12': 'for ONE month',
-        '2/12': 'for TWO months',
-        '3/12': 'for THREE months',
-        '6/12': 'for SIX months'
+        instruction: [
+            ['wf', 'with food'],
+            ['bf', 'before food'],
+            ['af', 'after food'],
+            ['disp', 'disperse in water'],
+            ['dnc', 'not to be crushed'],
+            ['shake', 'shake well before use'],
+            ['rinse', 'rinse mouth after use'],
+            ['nswallow', 'do not swallow'],
+            ['c+d', 'tablet may be crushed and dispersed in water'],
+            ['crush', 'tablet may be crushed'],
+            ['open', 'capsule may be opened and the contents dispersed in water'],
+            ['whole', 'swallow whole, do not chew or crush'],
+            ['protect', 'protect from light'],
+            ['fridge', 'store in a refrigerator'],
+            ['discard', 'discard after 28 days of opening'],
+            ['utd', 'as directed'],
+            ['mdu', 'as directed'],
+            ['asd', 'as directed']
+        ],
+
+        duration: [
+            // Duration specifications (explicitly defined for common values)
+            ['1/7', 'for ONE day'],
+            ['2/7', 'for TWO days'],
+            ['3/7', 'for THREE days'],
+            ['4/7', 'for FOUR days'],
+            ['5/7', 'for FIVE days'],
+            ['6/7', 'for SIX days'],
+            ['7/7', 'for SEVEN days'],
+            ['8/7', 'for EIGHT days'],
+            ['9/7', 'for NINE days'],
+            ['10/7', 'for TEN days'],
+            ['11/7', 'for ELEVEN days'],
+            ['12/7', 'for TWELVE days'],
+            ['13/7', 'for THIRTEEN days'],
+            ['14/7', 'for FOURTEEN days'],
+
+            // Weeks and months examples (explicit mappings)
+            ['1/52', 'for ONE week'],
+            ['2/52', 'for TWO weeks'],
+            ['4/52', 'for FOUR weeks'],
+            ['1/12', 'for ONE month'],
+            ['2/12', 'for TWO months'],
+            ['3/12', 'for THREE months'],
+            ['6/12', 'for SIX months']
+        ],
+        sequence: [
+            // Starts the next step of a reducing or changing course, e.g. "8t od 5/7 then 6t od 5/7"
+            ['then', 'starts the next step of the course']
+        ]
     },
-    
+
+    // Name of each code group, as shown to users
+    groupNames: {
+        dose: 'Dose',
+        frequency: 'Frequency',
+        prn: 'When required',
+        timing: 'Timing',
+        route: 'Route',
+        site: 'Site',
+        instruction: 'Instruction',
+        duration: 'Duration',
+        sequence: 'Next step'
+    },
+
+    /**
+     * Dose codes made from a number and a unit letter, e.g. "2t", "1-2c", "5ml".
+     * "x" in place of the number (e.g. "xt") leaves a gap for a handwritten dose.
+     * Longer suffixes come first so "xpa" isn't read as "xp".
+     * Micrograms and units are always written in full on the label, never as
+     * "mcg" or "u", which are easily misread.
+     * - name: heading for the family on shorthand-reference.html
+     * - inWords: false keeps the number as digits (e.g. "Take 5ml", "Inject 10 units")
+     * - symbol: the unit is written straight after the number, with no space ("5ml")
+     * - strength: the dose is an amount of the medicine rather than a number of
+     *   tablets, patches etc., so doses can't be added up into a quantity to supply
+     * - placeholderOnly: only the handwritten "x" form is recognised
+     */
+    doseFamilies: [
+        { suffix: 'ml', name: 'Liquid Preparations', unit: 'ml', plural: 'ml', verb: 'Take', inWords: false, symbol: true },
+        { suffix: 'mcg', name: 'Micrograms', unit: 'microgram', plural: 'micrograms', verb: 'Take', inWords: false, strength: true },
+        { suffix: 'mg', name: 'Milligrams', unit: 'mg', plural: 'mg', verb: 'Take', inWords: false, symbol: true, strength: true },
+        { suffix: 'pa', name: 'Patches', unit: 'patch', plural: 'patches', verb: 'Apply' },
+        { suffix: 'pe', name: 'Pessaries', unit: 'pessary', plural: 'pessaries', verb: 'Insert' },
+        { suffix: 'sa', name: 'Sachets', unit: 'sachet', plural: 'sachets', verb: 'Take' },
+        { suffix: 'su', name: 'Suppositories', unit: 'suppository', plural: 'suppositories', verb: 'Insert' },
+        { suffix: 'ap', name: 'Applications', unit: 'application', plural: 'applications', verb: 'Apply' },
+        { suffix: 'sp', name: 'Sprays', unit: 'spray', plural: 'sprays', verb: 'Spray' },
+        { suffix: 't', name: 'Tablets', unit: 'tablet', plural: 'tablets', verb: 'Take' },
+        { suffix: 'c', name: 'Capsules', unit: 'capsule', plural: 'capsules', verb: 'Take' },
+        { suffix: 'p', name: 'Inhalers', unit: 'puff', plural: 'puffs', verb: 'Inhale' },
+        { suffix: 'd', name: 'Drops', unit: 'drop', plural: 'drops', verb: 'Apply' },
+        { suffix: 'u', name: 'Units', unit: 'unit', plural: 'units', verb: 'Inject', inWords: false, strength: true }
+    ],
+
+    /**
+     * A number as it may be written in a dose: a whole number or a decimal with a
+     * leading digit and no trailing zero, so ".5" and "5.0" aren't read as doses
+     * (the point is easily missed, giving 5 or 50)
+     */
+    numberPattern: '[0-9]+(?:\\.[0-9]*[1-9])?',
+
+    /**
+     * Duration codes: number of days (/7), weeks (/52) or months (/12)
+     */
+    durationUnits: {
+        '7': 'day',
+        '52': 'week',
+        '12': 'month'
+    },
+
+    /**
+     * Days in each duration unit, for working out quantities. Months vary in
+     * length, so a course in months can't be turned into a number of days.
+     */
+    durationDays: {
+        day: 1,
+        week: 7
+    },
+
+    /**
+     * How many doses a day each frequency code means, for working out
+     * quantities. Codes not listed here (e.g. "stat", monthly codes) can't be
+     * turned into a daily amount.
+     */
+    dosesPerDay: {
+        'od': 1,
+        'om': 1,
+        'on': 1,
+        'bd': 2,
+        'tds': 3,
+        'qds': 4,
+        'mane': 1,
+        'nocte': 1,
+        'altd': 0.5,
+        'altm': 0.5,
+        'alte': 0.5,
+        'altn': 0.5,
+        '1w': 1 / 7,
+        '2w': 1 / 14,
+        '4w': 1 / 28,
+        'od07': 1,
+        'od08': 1,
+        'od12': 1,
+        'od16': 1,
+        'od20': 1,
+        'od22': 1,
+        'pm': 1,
+        'breakfast': 1,
+        'lunchtime': 1,
+        'dinnertime': 1,
+        'dinner': 1
+    },
+
+    /**
+     * Codes for one time of day, which can each have their own dose, e.g.
+     * "2t mane 1t nocte". A 24-hour time such as "14:00" is one too.
+     */
+    timeSlots: new Set([
+        'mane', 'nocte', 'om', 'on', 'pm',
+        'breakfast', 'lunchtime', 'dinnertime', 'dinner'
+    ]),
+
+    /**
+     * Frequency codes that mean a set number of doses rather than doses a day
+     * (e.g. a loading dose, "2t stat then 1t od 4/7"), so need no duration
+     */
+    totalDoses: {
+        'stat': 1
+    },
+
+    /**
+     * Codes whose meaning depends on the formulation selected. Each one stands
+     * for a fixed code per formulation context, e.g. "left" is "le" (into the
+     * LEFT eye) for eye drops but "la" (into the LEFT ear) for ear drops.
+     */
+    contextCodes: [
+        { code: 'left', type: 'site', contexts: { eye: 'le', ear: 'la' } },
+        { code: 'right', type: 'site', contexts: { eye: 're', ear: 'ra' } },
+        { code: 'both', type: 'site', contexts: { eye: 'be', ear: 'ba' } }
+    ],
+
+    /**
+     * Codes that have been read in more than one way, so always have to be
+     * replaced by the code that's meant. Each lists the codes it could stand
+     * for, and a note on why for the collision report.
+     */
+    unclearCodes: [
+        {
+            code: 'am',
+            type: 'timing',
+            choices: ['mane', 'pc'],
+            note: 'Earlier versions printed "AFTER meals" for "am" (a second definition replaced "in the MORNING"), ' +
+                'so it has to be replaced by "mane" or "pc".'
+        }
+    ],
+
+    /**
+     * Formulation context for each formulation category
+     * (category names as returned by MedicationManager.standardizeFormulation, lowercase)
+     */
+    formulationContexts: {
+        'eye preparations': 'eye',
+        'ear preparations': 'ear'
+    },
+
+    /**
+     * Dose wording for each formulation category (lowercase, as returned by
+     * MedicationManager.standardizeFormulation), by the unit the dose code gives.
+     * Anything set here replaces the dose family's verb, unit and plural.
+     * 'phrase' says where the dose goes; it is left out when the shorthand
+     * gives a route or site itself.
+     */
+    formulationWording: {
+        'eye preparations': {
+            drop: { verb: 'Instil' }
+        },
+        'ear preparations': {
+            drop: { verb: 'Instil' }
+        },
+        'nasal preparations': {
+            drop: { verb: 'Instil', phrase: 'into each nostril' },
+            puff: { verb: 'Spray', unit: 'spray', plural: 'sprays', phrase: 'into each nostril' },
+            spray: { phrase: 'into each nostril' }
+        },
+        'sublingual tablets': {
+            tablet: { verb: 'Dissolve', phrase: 'under the tongue' }
+        },
+        'sublingual sprays': {
+            puff: { verb: 'Spray', unit: 'spray', plural: 'sprays', phrase: 'under the tongue' },
+            spray: { phrase: 'under the tongue' }
+        },
+        'buccal tablets': {
+            tablet: { verb: 'Place', phrase: 'between the gum and cheek' }
+        },
+        'chewable tablets': {
+            tablet: { verb: 'Chew' }
+        },
+        'vaginal preparations': {
+            tablet: { verb: 'Insert', unit: 'pessary', plural: 'pessaries' }
+        },
+        'rectal preparations': {
+            tablet: { verb: 'Insert', unit: 'suppository', plural: 'suppositories' }
+        },
+        // Oral drops are swallowed
+        'drops': {
+            drop: { verb: 'Take' }
+        }
+    },
+
+    /**
+     * Abbreviations used in medicine names, kept in capitals on labels (e.g. "MR", "LA").
+     * Shorthand codes spelt the same way are listed in the collision report.
+     */
+    formulationAbbreviations: new Set([
+        'mr', 'sr', 'cr', 'xl', 'la', 'pr', 'er', 'ec', 'gr', 'dr',
+        'sl', 'iv', 'im', 'sc', 'td', 'dpi', 'mdi', 'smi',
+        'pf', 'sf', 'fc', 'bp', 'nac', 'hgc', 'sgc', 'od'
+    ]),
+
+    /**
+     * Mapping of every fixed shorthand code to its full text (built from codeGroups)
+     */
+    mappings: {},
+
     /**
      * A copy of the shorthand mappings with all keys converted to lowercase.
      * This allows the app to match codes regardless of how the user typed them —
      * e.g. 'BD', 'Bd', and 'bd' are all recognised as 'TWICE a day'.
      */
     lowercaseMappings: {},
-    
+
+    // Every registered code (lowercase) → its definition
+    _registry: new Map(),
+
+    // Codes that were registered more than once, for the collision report
+    _duplicates: [],
+
     /**
-     * Set up the case-insensitive mappings (runs automatically on page load)
+     * Register the built-in codes (runs automatically on page load)
      */
     init() {
-        // Copy every mapping key in lowercase so lookups work regardless of capitalisation
-        for (const [key, value] of Object.entries(this.mappings)) {
-            this.lowercaseMappings[key.toLowerCase()] = value;
+        for (const [type, codes] of Object.entries(this.codeGroups)) {
+            codes.forEach(([code, text]) => this.register({ code, type, text }));
         }
+        this.contextCodes.forEach(definition => this.register(definition));
+        this.unclearCodes.forEach(definition => this.register(definition));
     },
-    
+
+    /**
+     * Add a shorthand code. A code that is already registered keeps its
+     * existing meaning - the clash is recorded for the collision report
+     * rather than one meaning silently replacing the other.
+     * A code containing {n} matches any number in that place (e.g. "{n}amp"
+     * matches "4amp"), and its text can use {n} for the number as typed or
+     * {n_words} for the number in words. A code using {n_words} only matches
+     * whole numbers, as the wording after it can't follow a fraction
+     * ("HALF ampoules").
+     * @param {Object} definition - { code, type, text }; { code, type: 'macro', macro } for a
+     *                              code that stands for other shorthand; { code, type, contexts }
+     *                              for a code whose meaning depends on the formulation; or
+     *                              { code, type, choices, note } for a code that always has to be
+     *                              replaced by one of the codes in 'choices'
+     * @param {string} [source] - Where the definition comes from, shown in the report
+     * @returns {boolean} - True if the code was added
+     */
+    register(definition, source = 'built-in') {
+        const key = definition.code.trim().toLowerCase();
+        // displayCode keeps the capitals the code was defined with (e.g. "xDS") for showing it
+        const entry = Object.assign({}, definition, { code: key, displayCode: definition.code.trim(), source });
+
+        const existing = this._registry.get(key);
+        if (existing) {
+            console.warn(`Shorthand code "${key}" is defined more than once - keeping "${this._describe(existing)}"`);
+            this._duplicates.push({ code: key, kept: existing, ignored: entry });
+            return false;
+        }
+
+        if (key.includes('{n}')) {
+            entry.pattern = this._compilePattern(key);
+        }
+
+        this._registry.set(key, entry);
+        if (entry.text && !entry.pattern) {
+            this.mappings[definition.code] = entry.text;
+            // Keep every key in lowercase too so lookups work regardless of capitalisation
+            this.lowercaseMappings[key] = entry.text;
+        }
+        return true;
+    },
+
+    /**
+     * What a code would mean from the dose and duration patterns alone,
+     * ignoring any fixed definition
+     * @param {string} code - Lowercase shorthand code
+     * @returns {string|null} - Pattern text, or null if no pattern matches
+     */
+    getPatternText(code) {
+        const dose = this.matchDose(code);
+        if (dose) return this.formatDose(dose);
+        const duration = this.matchDuration(code);
+        return duration ? this.formatDuration(duration) : null;
+    },
+
+    /**
+     * Remove every code that came from one source, e.g. before reloading a
+     * department's custom codes
+     * @param {string} source - Source the codes were registered with
+     */
+    removeSource(source) {
+        for (const [key, entry] of this._registry) {
+            if (entry.source !== source) continue;
+            this._registry.delete(key);
+            delete this.lowercaseMappings[key];
+            Object.keys(this.mappings)
+                .filter(code => code.toLowerCase() === key)
+                .forEach(code => delete this.mappings[code]);
+        }
+        this._duplicates = this._duplicates.filter(duplicate =>
+            duplicate.kept.source !== source && duplicate.ignored.source !== source);
+    },
+
+    /**
+     * Every registered code from one source
+     * @param {string} source - Source the codes were registered with
+     * @returns {Array<Object>} - Registered definitions
+     */
+    getBySource(source) {
+        return Array.from(this._registry.values()).filter(entry => entry.source === source);
+    },
+
+    /**
+     * Codes that clash with something else, for shorthand-reference.html:
+     * - 'duplicate': the same code was defined more than once
+     * - 'pattern': a fixed code means something different from what its pattern
+     *   would give (e.g. a "2t" that didn't mean "Take TWO tablets"), or a code
+     *   containing {n} matches codes that already mean something else
+     * - 'abbreviation': the code is also a formulation abbreviation in medicine names
+     * - 'context': the code's meaning depends on the formulation selected
+     * - 'unclear': the code has been read in more than one way, so has to be replaced
+     * - 'macro': a code standing for other shorthand includes words that aren't codes
+     * @returns {Array<Object>} - [{ kind, code, source, message }]
+     */
+    getCollisionReport() {
+        const report = this._duplicates.map(duplicate => ({
+            kind: 'duplicate',
+            code: duplicate.code,
+            source: duplicate.ignored.source,
+            message: `Defined more than once. "${this._describe(duplicate.kept)}" (${duplicate.kept.source}) is used; ` +
+                `"${this._describe(duplicate.ignored)}" (${duplicate.ignored.source}) is ignored.`
+        }));
+
+        for (const [code, definition] of this._registry) {
+            const source = definition.source;
+
+            if (definition.macro && typeof DosageParser !== 'undefined') {
+                const expansion = definition.pattern ? this._fillPattern(definition.macro, ['1']) : definition.macro;
+                const unrecognised = DosageParser.parse(expansion).unrecognised;
+                if (unrecognised.length > 0) {
+                    report.push({
+                        kind: 'macro',
+                        code,
+                        source,
+                        message: `Stands for "${definition.macro}", but ${unrecognised.map(word => `"${word}"`).join(', ')} ` +
+                            `can't be read as shorthand.`
+                    });
+                }
+            }
+
+            if (definition.pattern) {
+                // Built-in codes are checked first, so they win wherever both match
+                const clash = ['1', '2'].map(number => code.replace('{n}', number))
+                    .find(sample => this._registry.has(sample) || this.matchDose(sample) || this.matchDuration(sample));
+                if (clash) {
+                    report.push({
+                        kind: 'pattern',
+                        code,
+                        source,
+                        message: `Codes like "${clash}" already mean "${this.describe(clash)}", which is used instead.`
+                    });
+                }
+                continue;
+            }
+
+            if (definition.choices) {
+                report.push({
+                    kind: 'unclear',
+                    code,
+                    source,
+                    message: `Could be ${this._describe(definition)}. ${definition.note}`
+                });
+                continue;
+            }
+
+            if (definition.contexts) {
+                report.push({
+                    kind: 'context',
+                    code,
+                    source,
+                    message: `Depends on the formulation: ${this._describe(definition)}. ` +
+                        'With any other formulation it has to be corrected before it can be applied.'
+                });
+                continue;
+            }
+
+            const patternText = this.getPatternText(code);
+            if (patternText !== null && patternText !== definition.text) {
+                report.push({
+                    kind: 'pattern',
+                    code,
+                    source,
+                    message: `Means "${definition.text}", but the pattern for codes like it gives "${patternText}".`
+                });
+            }
+
+            if (this.formulationAbbreviations.has(code)) {
+                report.push({
+                    kind: 'abbreviation',
+                    code,
+                    source,
+                    message: `Means "${definition.text}" in shorthand, but ${code.toUpperCase()} is also a formulation ` +
+                        'abbreviation in medicine names. It is only read as shorthand in the Shorthand box.'
+                });
+            }
+        }
+
+        return report;
+    },
+
+    /**
+     * What a code means, in words, for suggestions and reports
+     * @param {string} code - The shorthand code
+     * @returns {string|null} - Its meaning, or null if it isn't recognised
+     */
+    describe(code) {
+        const definition = this._registry.get((code || '').trim().toLowerCase());
+        return definition ? this._describe(definition) : this.getFullText(code);
+    },
+
+    /**
+     * What a registered definition means, in words
+     * @private
+     * @param {Object} definition - Registered definition
+     * @returns {string} - e.g. "TWICE a day", or for a context-dependent code
+     *                     "le (into the LEFT eye) for eye, la (into the LEFT ear) for ear"
+     */
+    _describe(definition) {
+        if (definition.macro) {
+            return `same as "${definition.macro}"`;
+        }
+        if (definition.choices) {
+            return definition.choices.map(code => `${code} (${this.getFullText(code)})`).join(' or ');
+        }
+        if (!definition.contexts) {
+            return definition.text;
+        }
+        return Object.entries(definition.contexts)
+            .map(([context, code]) => `${code} (${this.getFullText(code)}) for ${context}`)
+            .join(', ');
+    },
+
+    /**
+     * Formulation context ('eye', 'ear') for a formulation category, used to
+     * resolve context-dependent codes
+     * @param {string} category - Formulation category, e.g. "Eye Preparations"
+     * @returns {string|null} - The context, or null if the category has none
+     */
+    getFormulationContext(category) {
+        return this.formulationContexts[(category || '').toLowerCase()] || null;
+    },
+
     /**
      * Get the full text for a shorthand code
      * @param {string} code - The shorthand code
-     * @returns {string|null} - The full text or null if not found
+     * @param {string} [context] - Formulation context from getFormulationContext
+     * @returns {string|null} - The full text or null if not found (or if it depends on
+     *                          a formulation context that wasn't given)
+     */
+    getFullText(code, context) {
+        const match = this.classify(code, context);
+        return match ? match.text : null;
+    },
+
+    /**
+     * Work out what kind of code this is and what it means
+     * @param {string} code - The shorthand code
+     * @param {string} [context] - Formulation context from getFormulationContext
+     * @returns {Object|null} - { type, code, text } plus 'dose' for dose codes,
+     *                          'duration' for durations and 'dosesPerDay' for
+     *                          frequencies, or null if the code isn't recognised.
+     *                          A context-dependent code without a matching context,
+     *                          or a code from unclearCodes, comes back with
+     *                          ambiguous: true, text: null, the codes it could
+     *                          stand for in 'options' and why in 'reason'.
      */
-    getFullText(code) {
+    classify(code, context) {
         if (!code) return null;
-        
+
         // Normalize the code (trim whitespace, convert to lowercase for case-insensitivity)
         const normalizedCode = code.trim().toLowerCase();
-        
-        // Check for exact matches in the mappings
-        if (this.lowercaseMappings[normalizedCode]) {
-            return this.lowercaseMappings[normalizedCode];
-        }
-        
-        // Pattern matching for dosage quantities
-        
-        // Tablet range pattern: number-number followed by 't'
-        const tabletRangePattern = /^([0-9]+\.?[0-9]*)-([0-9]+\.?[0-9]*)t$/;
-        const tabletRangeMatch = normalizedCode.match(tabletRangePattern);
-        if (tabletRangeMatch) {
-            const minQuantity = parseFloat(tabletRangeMatch[1]);
-            const maxQuantity = parseFloat(tabletRangeMatch[2]);
-            return this.formatDosageRange(minQuantity, maxQuantity, 'tablet', 'Take');
+
+        // Check for exact matches in the registry
+        const definition = this._registry.get(normalizedCode);
+        if (definition && definition.contexts) {
+            const resolvedCode = context && definition.contexts[context];
+            if (resolvedCode) {
+                return this.classify(resolvedCode);
+            }
+            return {
+                type: definition.type,
+                code: normalizedCode,
+                text: null,
+                ambiguous: true,
+                options: Object.values(definition.contexts).map(option => ({ code: option, text: this.getFullText(option) })),
+                reason: 'depends on the formulation'
+            };
         }
-        
-        // Capsule range pattern: number-number followed by 'c'
-        const capsuleRangePattern = /^([0-9]+\.?[0-9]*)-([0-9]+\.?[0-9]*)c$/;
-        const capsuleRangeMatch = normalizedCode.match(capsuleRangePattern);
-        if (capsuleRangeMatch) {
-            const minQuantity = parseFloat(capsuleRangeMatch[1]);
-            const maxQuantity = parseFloat(capsuleRangeMatch[2]);
-            return this.formatDosageRange(minQuantity, maxQuantity, 'capsule', 'Take');
+        if (definition && definition.choices) {
+            return {
+                type: definition.type,
+                code: normalizedCode,
+                text: null,
+                ambiguous: true,
+                options: definition.choices.map(option => ({ code: option, text: this.getFullText(option) })),
+                reason: 'has been read in more than one way'
+            };
         }
-        
-        // Puff range pattern: number-number followed by 'p'
-        const puffRangePattern = /^([0-9]+\.?[0-9]*)-([0-9]+\.?[0-9]*)p$/;
-        const puffRangeMatch = normalizedCode.match(puffRangePattern);
-        if (puffRangeMatch) {
-            const minQuantity = parseFloat(puffRangeMatch[1]);
-            const maxQuantity = parseFloat(puffRangeMatch[2]);
-            return this.formatDosageRange(minQuantity, maxQuantity, 'puff', 'Inhale');
+        if (definition && definition.macro) {
+            return { type: 'macro', code: normalizedCode, text: null, macro: definition.macro };
         }
-        
-        // Drop range pattern: number-number followed by 'd'
-        const dropRangePattern = /^([0-9]+\.?[0-9]*)-([0-9]+\.?[0-9]*)d$/;
-        const dropRangeMatch = normalizedCode.match(dropRangePattern);
-        if (dropRangeMatch) {
-            const minQuantity = parseFloat(dropRangeMatch[1]);
-            const maxQuantity = parseFloat(dropRangeMatch[2]);
-            return this.formatDosageRange(minQuantity, maxQuantity, 'drop', 'Apply');
+        if (definition) {
+            const type = definition.type;
+            const match = { type, code: normalizedCode, text: definition.text };
+            if (type === 'dose') {
+                match.dose = this.matchDose(normalizedCode);
+            } else if (type === 'duration') {
+                match.duration = this.matchDuration(normalizedCode);
+            } else if (type === 'frequency' || type === 'timing') {
+                match.dosesPerDay = normalizedCode in this.dosesPerDay ? this.dosesPerDay[normalizedCode] : null;
+            }
+            return match;
         }
-        
-        // ML range pattern: number-number followed by 'ml'
-        const mlRangePattern = /^([0-9]+\.?[0-9]*)-([0-9]+\.?[0-9]*)ml$/;
-        const mlRangeMatch = normalizedCode.match(mlRangePattern);
-        if (mlRangeMatch) {
-            const minQuantity = parseFloat(mlRangeMatch[1]);
-            const maxQuantity = parseFloat(mlRangeMatch[2]);
-            return `Take ${minQuantity}-${maxQuantity}ml`;
+
+        // Pattern matching for dosage quantities
+        const dose = this.matchDose(normalizedCode);
+        if (dose) {
+            return { type: 'dose', code: normalizedCode, text: this.formatDose(dose), dose };
         }
-        
-        // Handwritten formulation patterns with 'X'
-        // X tablets pattern (for handwritten dosage): 'Xt'
-        const xTabletPattern = /^xt$/;
-        const xTabletMatch = normalizedCode.match(xTabletPattern);
-        if (xTabletMatch) {
-            return 'Take .......... tablets';
+
+        // Pattern matching for durations (e.g. 15/7 for 15 days)
+        const duration = this.matchDuration(normalizedCode);
+        if (duration) {
+            return { type: 'duration', code: normalizedCode, text: this.formatDuration(duration), duration };
         }
-        
-        // X capsules pattern (for handwritten dosage): 'Xc'
-        const xCapsulePattern = /^xc$/;
-        const xCapsuleMatch = normalizedCode.match(xCapsulePattern);
-        if (xCapsuleMatch) {
-            return 'Take .......... capsules';
+
+        // A time of day in 24-hour clock (e.g. 14:00) - once a day at that time
+        const time = this.matchTime(normalizedCode);
+        if (time) {
+            return { type: 'frequency', code: normalizedCode, text: this.formatTime(time), dosesPerDay: 1, time };
         }
-        
-        // X patches pattern (for handwritten dosage): 'Xpa'
-        const xPatchPattern = /^xpa$/;
-        const xPatchMatch = normalizedCode.match(xPatchPattern);
-        if (xPatchMatch) {
-            return 'Apply .......... patches';
+
+        // Codes with {n} in them, checked last so they never override the built-in patterns
+        for (const entry of this._registry.values()) {
+            const match = entry.pattern && normalizedCode.match(entry.pattern);
+            if (!match || this._rejectsNumber(entry, match[1])) continue;
+            const numbers = match.slice(1);
+            if (entry.macro) {
+                return { type: 'macro', code: normalizedCode, text: null, macro: this._fillPattern(entry.macro, numbers) };
+            }
+            return { type: entry.type, code: normalizedCode, text: this._fillPattern(entry.text, numbers) };
         }
-        
-        // X puffs pattern (for handwritten dosage): 'Xp'
-        const xPuffPattern = /^xp$/;
-        const xPuffMatch = normalizedCode.match(xPuffPattern);
-        if (xPuffMatch) {
-            return 'Inhale .......... puffs';
+
+        return null;
+    },
+
+    /**
+     * Why a code can't be used with the number typed: a code whose wording
+     * writes the number in words, given a fraction (e.g. "0.5amp" with "{n_words} ampoules")
+     * @param {string} code - Shorthand code as typed
+     * @returns {string|null} - What to do instead, or null if there is no such code
+     */
+    getWordsProblem(code) {
+        const normalizedCode = code.trim().toLowerCase();
+        for (const entry of this._registry.values()) {
+            const match = entry.pattern && normalizedCode.match(entry.pattern);
+            if (match && this._rejectsNumber(entry, match[1])) {
+                return `"${entry.displayCode}" writes the number in words, so only takes whole numbers - type the dose in the Dosage box instead`;
+            }
         }
-        
-        // X drops pattern (for handwritten dosage): 'Xd'
-        const xDropPattern = /^xd$/;
-        const xDropMatch = normalizedCode.match(xDropPattern);
-        if (xDropMatch) {
-            return 'Apply .......... drops';
+        return null;
+    },
+
+    /**
+     * Whether a pattern code can't take a number: codes using {n_words} only take whole numbers
+     * @private
+     * @param {Object} entry - Registered pattern code
+     * @param {string} number - Number matched by the pattern
+     * @returns {boolean} - True if the code doesn't match with this number
+     */
+    _rejectsNumber(entry, number) {
+        const template = entry.text || entry.macro || '';
+        return template.includes('{n_words}') && !Number.isInteger(parseFloat(number));
+    },
+
+    /**
+     * Turn a code containing {n} into a regular expression that captures the number
+     * @private
+     * @param {string} code - Lowercase code, e.g. "{n}amp"
+     * @returns {RegExp} - Pattern matching the whole code
+     */
+    _compilePattern(code) {
+        const source = code.split('{n}')
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join(`(${this.numberPattern})`);
+        return new RegExp(`^${source}$`);
+    },
+
+    /**
+     * Put the number typed into a pattern code's text: {n} as typed, {n_words} in words
+     * @private
+     * @param {string} template - Text or macro containing {n} / {n_words}
+     * @param {Array<string>} numbers - Numbers captured by the pattern
+     * @returns {string} - Filled-in text
+     */
+    _fillPattern(template, numbers) {
+        const number = numbers[0];
+        const words = this.numberToWords(parseFloat(number));
+        return template.split('{n_words}').join(words).split('{n}').join(number);
+    },
+
+    /**
+     * Read a dose code such as "2t", "1-2c", "5ml" or "xd"
+     * @param {string} code - Lowercase shorthand code
+     * @returns {Object|null} - { min, max, placeholder, unit, plural, verb, inWords, symbol, strength },
+     *                          max is null unless it's a range
+     */
+    matchDose(code) {
+        for (const family of this.doseFamilies) {
+            const dose = {
+                min: null,
+                max: null,
+                placeholder: false,
+                unit: family.unit,
+                plural: family.plural,
+                verb: family.verb,
+                inWords: family.inWords !== false,
+                symbol: Boolean(family.symbol),
+                strength: Boolean(family.strength)
+            };
+
+            // Handwritten dose, e.g. 'xt'
+            if (code === `x${family.suffix}`) {
+                dose.placeholder = true;
+                return dose;
+            }
+            if (family.placeholderOnly) continue;
+
+            // A number, or a range of two numbers, followed by the unit letter
+            const pattern = new RegExp(`^(${this.numberPattern})(?:-(${this.numberPattern}))?${family.suffix}$`);
+            const match = code.match(pattern);
+            if (match) {
+                dose.min = parseFloat(match[1]);
+                dose.max = match[2] !== undefined ? parseFloat(match[2]) : null;
+                // "1.33t" can't be counted out, so isn't read (getNumberProblem explains why)
+                if (dose.inWords && [dose.min, dose.max].some(number => number !== null && !this._isCountable(number))) {
+                    return null;
+                }
+                return dose;
+            }
         }
-        
-        // X ml pattern (for handwritten dosage): 'Xml'
-        const xMlPattern = /^xml$/;
-        const xMlMatch = normalizedCode.match(xMlPattern);
-        if (xMlMatch) {
-            return 'Take .......... ml';
+        return null;
+    },
+
+    /**
+     * Whether a number of tablets, capsules etc. can be counted out: a whole
+     * number, or a quarter, half or three-quarters
+     * @private
+     * @param {number} number - Number from a dose code
+     * @returns {boolean} - True if the number can be given as a dose
+     */
+    _isCountable(number) {
+        return Number.isInteger(number * 4);
+    },
+
+    /**
+     * Reword a dose for the formulation it is for, using formulationWording
+     * @param {Object} dose - Dose from matchDose
+     * @param {string} [formulationCategory] - Category from MedicationManager.standardizeFormulation
+     * @returns {Object} - The dose with the formulation's verb, unit and phrase
+     */
+    adaptDose(dose, formulationCategory) {
+        const wording = this.formulationWording[(formulationCategory || '').toLowerCase()];
+        const override = wording && wording[dose.unit];
+        return override ? Object.assign({}, dose, override) : dose;
+    },
+
+    /**
+     * Why a code that looks like a time of day can't be used as written: a time
+     * that doesn't exist ("25:00") or one without its colon ("0800", "8.30"),
+     * which would otherwise be printed as typed
+     * @param {string} code - Shorthand code as typed
+     * @returns {string|null} - What to write instead and why, or null if it isn't a time
+     */
+    getTimeProblem(code) {
+        const withColon = code.match(/^([0-9]{1,2}):([0-9]{2})$/);
+        if (withColon) {
+            return this.matchTime(code) ? null : `"${code}" is not a time of day - use the 24-hour clock, 00:00 to 23:59`;
         }
-        
-        // X times a day pattern (for handwritten frequency): 'XDS'
-        const xTimesPattern = /^xDS$/i;
-        const xTimesMatch = normalizedCode.match(xTimesPattern);
-        if (xTimesMatch) {
-            return '.......... times a day';
+        const withoutColon = code.match(/^([0-9]{2})([0-9]{2})$/) || code.match(/^([0-9]{1,2})\.([0-9]{2})$/);
+        if (withoutColon) {
+            const time = `${withoutColon[1].padStart(2, '0')}:${withoutColon[2]}`;
+            if (this.matchTime(time)) {
+                return `write it as "${time}" - a time without its colon can be misread as a dose`;
+            }
         }
-        
-        // Tablets pattern: number followed by 't'
-        const tabletPattern = /^([0-9]+\.?[0-9]*)t$/;
-        const tabletMatch = normalizedCode.match(tabletPattern);
-        if (tabletMatch) {
-            const quantity = parseFloat(tabletMatch[1]);
-            return this.formatDosageQuantity(quantity, 'tablet', 'Take');
+        return null;
+    },
+
+    /**
+     * Why a code's number can't be used as written, for decimals known to cause
+     * medication errors: ".5" (no leading zero, read as 5) and "5.0" (trailing
+     * zero, read as 50), and numbers of tablets, capsules etc. that can't be
+     * counted out ("1.33t")
+     * @param {string} code - Shorthand code as typed
+     * @returns {string|null} - What to write instead and why, or null if the number is fine
+     */
+    getNumberProblem(code) {
+        const leadingPoint = /(^|[^0-9])\.[0-9]/;
+        const trailingZero = /[0-9]\.([0-9]*0)?(?![0-9])/;
+        if (!leadingPoint.test(code) && !trailingZero.test(code)) return this._getUncountableProblem(code);
+
+        const corrected = code
+            .replace(/(^|[^0-9])\.(?=[0-9])/g, '$10.')
+            .replace(/([0-9])\.([0-9]*?)0*(?![0-9])/g, (match, whole, fraction) => fraction ? `${whole}.${fraction}` : whole);
+        const reason = leadingPoint.test(code)
+            ? 'without a 0 before the point it can be misread as a whole number'
+            : 'a point or 0 at the end can be misread as ten times the dose';
+        return `write it as "${corrected}" - ${reason}`;
+    },
+
+    /**
+     * Why a dose of tablets, capsules etc. can't be used: its number isn't a
+     * whole number or a quarter, half or three-quarters
+     * @private
+     * @param {string} code - Shorthand code as typed
+     * @returns {string|null} - What to write instead, or null if it isn't such a dose
+     */
+    _getUncountableProblem(code) {
+        const normalizedCode = code.trim().toLowerCase();
+        for (const family of this.doseFamilies) {
+            if (family.inWords === false || family.placeholderOnly) continue;
+            const pattern = new RegExp(`^(${this.numberPattern})(?:-(${this.numberPattern}))?${family.suffix}$`);
+            const match = normalizedCode.match(pattern);
+            if (!match) continue;
+            const number = [match[1], match[2]].find(n => n !== undefined && !this._isCountable(parseFloat(n)));
+            return number
+                ? `"${number}" ${family.plural} can't be counted out - use a whole number or quarters (e.g. 1, 1.25, 1.5 or 1.75)`
+                : null;
         }
-        
-        // Capsules pattern: number followed by 'c'
-        const capsulePattern = /^([0-9]+\.?[0-9]*)c$/;
-        const capsuleMatch = normalizedCode.match(capsulePattern);
-        if (capsuleMatch) {
-            const quantity = parseFloat(capsuleMatch[1]);
-            return this.formatDosageQuantity(quantity, 'capsule', 'Take');
+        return null;
+    },
+
+    /**
+     * Wording for a dose read by matchDose
+     * @param {Object} dose - Dose from matchDose
+     * @returns {string} - e.g. "Take ONE to TWO tablets"
+     */
+    formatDose(dose) {
+        if (dose.placeholder) {
+            return `${dose.verb} .......... ${dose.plural}`;
         }
-        
-        // Puffs pattern: number followed by 'p'
-        const puffPattern = /^([0-9]+\.?[0-9]*)p$/;
-        const puffMatch = normalizedCode.match(puffPattern);
-        if (puffMatch) {
-            const quantity = parseFloat(puffMatch[1]);
-            return this.formatDosageQuantity(quantity, 'puff', 'Inhale');
+        if (!dose.inWords) {
+            if (dose.symbol) {
+                const amount = dose.max !== null ? `${dose.min}-${dose.max}` : `${dose.min}`;
+                return `${dose.verb} ${amount}${dose.unit}`;
+            }
+            if (dose.max !== null) {
+                return `${dose.verb} ${dose.min} to ${dose.max} ${dose.plural}`;
+            }
+            return `${dose.verb} ${dose.min} ${dose.min === 1 ? dose.unit : dose.plural}`;
         }
-        
-        // Drops pattern: number followed by 'd'
-        const dropPattern = /^([0-9]+\.?[0-9]*)d$/;
-        const dropMatch = normalizedCode.match(dropPattern);
-        if (dropMatch) {
-            const quantity = parseFloat(dropMatch[1]);
-            return this.formatDosageQuantity(quantity, 'drop', 'Apply');
+        if (dose.max !== null) {
+            return this.formatDosageRange(dose.min, dose.max, dose.unit, dose.verb, dose.plural);
         }
-        
-        // ML pattern: number followed by 'ml'
-        const mlPattern = /^([0-9]+\.?[0-9]*)ml$/;
-        const mlMatch = normalizedCode.match(mlPattern);
-        if (mlMatch) {
-            const quantity = parseFloat(mlMatch[1]);
-            return `Take ${quantity}ml`;
+        return this.formatDosageQuantity(dose.min, dose.unit, dose.verb, dose.plural);
+    },
+
+    /**
+     * Read a duration code such as "7/7", "3/52" or "6/12"
+     * @param {string} code - Lowercase shorthand code
+     * @returns {Object|null} - { value, unit } where unit is 'day', 'week' or 'month'
+     */
+    matchDuration(code) {
+        const match = code.match(/^(\d+)\/(7|52|12)$/);
+        if (!match) return null;
+        return { value: parseInt(match[1], 10), unit: this.durationUnits[match[2]] };
+    },
+
+    /**
+     * Wording for a duration read by matchDuration
+     * @param {Object} duration - Duration from matchDuration
+     * @returns {string} - e.g. "for SEVEN days"
+     */
+    formatDuration(duration) {
+        const unit = duration.value === 1 ? duration.unit : `${duration.unit}s`;
+        return `for ${this.numberToWords(duration.value)} ${unit}`;
+    },
+
+    /**
+     * Read a 24-hour time such as "08:00" or "14:30"
+     * @param {string} code - Lowercase shorthand code
+     * @returns {Object|null} - { hours, minutes }
+     */
+    matchTime(code) {
+        const match = code.match(/^([01]?[0-9]|2[0-3]):([0-5][0-9])$/);
+        if (!match) return null;
+        return { hours: parseInt(match[1], 10), minutes: parseInt(match[2], 10) };
+    },
+
+    /**
+     * Wording for a time read by matchTime, in the style of the "od08" codes
+     * @param {Object} time - Time from matchTime
+     * @returns {string} - e.g. "at 8am" or "at 2.30pm"
+     */
+    formatTime(time) {
+        const hours = time.hours % 12 === 0 ? 12 : time.hours % 12;
+        const minutes = time.minutes > 0 ? `.${String(time.minutes).padStart(2, '0')}` : '';
+        return `at ${hours}${minutes}${time.hours < 12 ? 'am' : 'pm'}`;
+    },
+
+    /**
+     * Whether a classified code is a single time of day that can have its own dose
+     * @param {Object} match - Result of classify()
+     * @returns {boolean} - True for codes like "mane", "nocte" and "08:00"
+     */
+    isTimeSlot(match) {
+        return Boolean(match.time) || this.timeSlots.has(match.code);
+    },
+
+    /**
+     * Suggest the known codes closest to one that wasn't recognised, e.g. "tsd" → "tds".
+     * Compares against the fixed codes and, when the code starts with a number,
+     * the pattern codes for that number (e.g. "1tt" → "1t", "1c", "1ml", "1/7").
+     * @param {string} code - The unrecognised code
+     * @param {number} [limit] - Most suggestions to return
+     * @returns {Array<Object>} - [{ code, text }], closest first
+     */
+    suggest(code, limit = 3) {
+        const input = (code || '').trim().toLowerCase();
+        if (!input) return [];
+
+        // Codes with {n} in them can't be typed as they are, so aren't suggested
+        const candidates = new Set(Array.from(this._registry.values())
+            .filter(entry => !entry.pattern)
+            .map(entry => entry.code));
+        this.doseFamilies.forEach(family => candidates.add(`x${family.suffix}`));
+
+        const number = input.match(/^[0-9]+(\.[0-9]+)?(-[0-9]+(\.[0-9]+)?)?/);
+        if (number) {
+            this.doseFamilies.forEach(family => {
+                if (!family.placeholderOnly) candidates.add(number[0] + family.suffix);
+            });
+            if (/^[0-9]+$/.test(number[0])) {
+                Object.keys(this.durationUnits).forEach(divisor => candidates.add(`${number[0]}/${divisor}`));
+            }
         }
-        
-        // Check for duration patterns
-        const dayPattern = /^(\d+)\/7$/;   // For days (e.g., 15/7 for 15 days)
-        const weekPattern = /^(\d+)\/52$/; // For weeks (e.g., 3/52 for 3 weeks)
-        const monthPattern = /^(\d+)\/12$/; // For months (e.g., 4/12 for 4 months)
-        
-        // Parse day pattern
-        const dayMatch = normalizedCode.match(dayPattern);
-        if (dayMatch) {
-            const days = parseInt(dayMatch[1], 10);
-            return `for ${this.numberToWords(days)} ${days === 1 ? 'day' : 'days'}`;
+
+        // Short codes only get suggestions one typing slip away, longer ones two
+        const maxDistance = input.length <= 3 ? 1 : 2;
+
+        return Array.from(candidates)
+            .map(candidate => ({ code: candidate, distance: this.editDistance(input, candidate) }))
+            .filter(candidate => candidate.distance > 0 && candidate.distance <= maxDistance)
+            // Closest first; on a tie prefer codes starting with the same letter, then of the same length
+            .sort((a, b) => a.distance - b.distance ||
+                (b.code[0] === input[0]) - (a.code[0] === input[0]) ||
+                Math.abs(a.code.length - input.length) - Math.abs(b.code.length - input.length) ||
+                a.code.localeCompare(b.code))
+            .slice(0, limit)
+            .map(candidate => ({ code: candidate.code, text: this.describe(candidate.code) }));
+    },
+
+    /**
+     * Number of single-letter changes (add, remove, replace, or swap two
+     * neighbouring letters) needed to turn one code into another
+     * @param {string} a - First code
+     * @param {string} b - Second code
+     * @returns {number} - Edit distance
+     */
+    editDistance(a, b) {
+        const d = [];
+        for (let i = 0; i <= a.length; i++) {
+            d[i] = [i];
         }
-        
-        // Parse week pattern
-        const weekMatch = normalizedCode.match(weekPattern);
-        if (weekMatch) {
-            const weeks = parseInt(weekMatch[1], 10);
-            return `for ${this.numberToWords(weeks)} ${weeks === 1 ? 'week' : 'weeks'}`;
+        for (let j = 0; j <= b.length; j++) {
+            d[0][j] = j;
         }
-        
-        // Parse month pattern
-        const monthMatch = normalizedCode.match(monthPattern);
-        if (monthMatch) {
-            const months = parseInt(monthMatch[1], 10);
-            return `for ${this.numberToWords(months)} ${months === 1 ? 'month' : 'months'}`;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(
+                    d[i - 1][j] + 1,
+                    d[i][j - 1] + 1,
+                    d[i - 1][j - 1] + cost
+                );
+                // Two letters typed the wrong way round, e.g. "tsd" for "tds"
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
         }
-        
-        return null;
+
+        return d[a.length][b.length];
     },
-    
+
     /**
      * Format a dosage range with the appropriate wording
      * @param {number} minQuantity - The minimum quantity
      * @param {number} maxQuantity - The maximum quantity
      * @param {string} unit - The unit (tablet, capsule, puff, drop, etc.)
      * @param {string} verb - The verb to use (Take, Apply, Inhale, etc.)
+     * @param {string} [plural] - Plural of the unit, if it isn't just the unit plus "s"
      * @returns {string} - Formatted dosage range instruction
      */
-    formatDosageRange(minQuantity, maxQuantity, unit, verb) {
+    formatDosageRange(minQuantity, maxQuantity, unit, verb, plural = `${unit}s`) {
         // Convert quantities to words
         const minText = this.numberToWords(minQuantity);
         const maxText = this.numberToWords(maxQuantity);
         
-        // Always pluralize the unit when it's a range
-        const unitPlural = `${unit}s`;
-        
-        return `${verb} ${minText} to ${maxText} ${unitPlural}`;
+        // Plural unless the range only goes up to one, e.g. "HALF to ONE tablet"
+        return `${verb} ${minText} to ${maxText} ${maxQuantity > 1 ? plural : unit}`;
     },
     
     /**
@@ -377,49 +1107,64 @@ const ShorthandCodes = window.ShorthandCodes = {
      * @param {number} quantity - The quantity (can be integer or decimal)
      * @param {string} unit - The unit (tablet, capsule, puff, drop, etc.)
      * @param {string} verb - The verb to use (Take, Apply, Inhale, etc.)
+     * @param {string} [plural] - Plural of the unit, if it isn't just the unit plus "s"
      * @returns {string} - Formatted dosage instruction
      */
-    formatDosageQuantity(quantity, unit, verb) {
-        // Handle special case for 0.5
+    formatDosageQuantity(quantity, unit, verb, plural = `${unit}s`) {
+        // Less than one whole unit is "of a" unit
         if (quantity === 0.5) {
             return `${verb} HALF a ${unit}`;
         }
+        if (quantity === 0.25 || quantity === 0.75) {
+            return `${verb} ${this.numberToWords(quantity)} of a ${unit}`;
+        }
         
         // Handle whole numbers
         if (Number.isInteger(quantity)) {
             const quantityText = this.numberToWords(quantity);
-            const unitPlural = quantity === 1 ? unit : `${unit}s`;
+            const unitPlural = quantity === 1 ? unit : plural;
             return `${verb} ${quantityText} ${unitPlural}`;
         }
         
-        // Handle half quantities (e.g., 1.5, 2.5, etc.)
-        if (quantity % 1 === 0.5) {
-            const wholeNumber = Math.floor(quantity);
-            const wholeText = this.numberToWords(wholeNumber);
-            return `${verb} ${wholeText} AND A HALF ${unit}s`;
-        }
-        
-        // Handle other decimal quantities
-        return `${verb} ${quantity} ${unit}s`;
+        // Whole numbers and a half or quarter (e.g. 1.5, 1.25) are in words, other decimals in digits
+        return `${verb} ${this.numberToWords(quantity)} ${plural}`;
     },
     
     /**
-     * Convert a number to words (for numbers 1-20)
+     * Convert a number to words: whole numbers up to 999, and halves and quarters
+     * (e.g. "ONE AND A QUARTER"). Larger numbers and other decimals stay as digits.
      * @param {number} num - The number to convert
      * @returns {string} - The number in words, uppercase for emphasis
      */
     numberToWords(num) {
         const words = [
             'ZERO', 'ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX', 'SEVEN', 'EIGHT', 'NINE', 'TEN',
-            'ELEVEN', 'TWELVE', 'THIRTEEN', 'FOURTEEN', 'FIFTEEN', 'SIXTEEN', 'SEVENTEEN', 'EIGHTEEN', 'NINETEEN', 'TWENTY'
+            'ELEVEN', 'TWELVE', 'THIRTEEN', 'FOURTEEN', 'FIFTEEN', 'SIXTEEN', 'SEVENTEEN', 'EIGHTEEN', 'NINETEEN'
         ];
-        
-        if (num >= 0 && num <= 20) {
-            return words[num];
-        } else {
-            // For numbers above 20, return the actual number
+        const tens = ['', '', 'TWENTY', 'THIRTY', 'FORTY', 'FIFTY', 'SIXTY', 'SEVENTY', 'EIGHTY', 'NINETY'];
+        const fractions = { 0.25: 'A QUARTER', 0.5: 'A HALF', 0.75: 'THREE QUARTERS' };
+
+        if (!(num >= 0) || num >= 1000) {
             return num.toString();
         }
+
+        const wholeNumber = Math.floor(num);
+        const fraction = num - wholeNumber;
+        if (fraction > 0) {
+            if (!(fraction in fractions)) return num.toString();
+            if (wholeNumber > 0) return `${this.numberToWords(wholeNumber)} AND ${fractions[fraction]}`;
+            // On its own: "HALF", "ONE QUARTER", "THREE QUARTERS"
+            return fraction === 0.5 ? 'HALF' : fractions[fraction].replace(/^A /, 'ONE ');
+        }
+
+        if (num < 20) {
+            return words[num];
+        }
+        if (num < 100) {
+            return tens[Math.floor(num / 10)] + (num % 10 ? `-${words[num % 10]}` : '');
+        }
+        const hundreds = `${words[Math.floor(num / 100)]} HUNDRED`;
+        return num % 100 ? `${hundreds} AND ${this.numberToWords(num % 100)}` : hundreds;
     }
 };
 
@@ -0,0 +1,329 @@
+/**
+ * Downtime Pharmacy Label Generator
+ * Shorthand Reference Page
+ * Builds shorthand-reference.html from the definitions in ShorthandCodes -
+ * the dose and duration patterns, every fixed code, any custom codes saved on
+ * this device and the collision report - so the page always matches the codes
+ * the label generator actually uses. Worked examples are written out by
+ * LabelGenerator.translateShorthand, the same as the Shorthand box.
+ */
+
+const ShorthandReference = {
+    // Sections of fixed codes, in the order they are listed, and the code groups in each
+    CODE_SECTIONS: [
+        { heading: 'Dosage Quantities - Other', types: ['dose'] },
+        { heading: 'Routes of Administration', types: ['route'] },
+        { heading: 'Frequencies', types: ['frequency', 'prn'] },
+        { heading: 'Daily Timing Specifications', types: ['timing'] },
+        { heading: 'Eye/Ear Drop Specifications', types: ['site'] },
+        { heading: 'Instructions and Special Phrases', types: ['instruction'] },
+        { heading: 'Reducing and Changing Courses', types: ['sequence'] },
+        { heading: 'Durations - Other', types: ['duration'] }
+    ],
+
+    // Heading for each kind of collision, in the order they are listed
+    COLLISION_HEADINGS: {
+        duplicate: 'Defined more than once',
+        pattern: 'Different from the usual pattern',
+        context: 'Depends on the formulation',
+        unclear: 'Has to be replaced',
+        abbreviation: 'Also used in medicine names',
+        macro: 'Stands for words that are not codes'
+    },
+
+    /**
+     * Load this device's custom codes, then build the page
+     */
+    init() {
+        CustomShorthand.init();
+        this.renderCodeSections();
+        this.renderCustomCodes();
+        this.renderCollisionReport();
+        this.initSearch();
+        this.initTryIt();
+    },
+
+    /**
+     * List the dose patterns, handwritten placeholders, fixed codes, duration patterns
+     * and how to give doses at different times
+     */
+    renderCodeSections() {
+        const container = document.getElementById('reference-sections');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        ShorthandCodes.doseFamilies
+            .filter(family => !family.placeholderOnly)
+            .forEach(family => {
+                const [single, range] = family.inWords === false ? ['5', '5-10'] : ['2', '1-2'];
+                container.appendChild(this._createSection(
+                    `Dosage Quantities - ${family.name}`,
+                    `Doses in ${family.plural} follow these patterns:`,
+                    [
+                        this._createItem(`n${family.suffix}`, `Any number of ${family.plural}`, `${single}${family.suffix}`),
+                        this._createItem(`n-m${family.suffix}`, 'A range, from n to m', `${range}${family.suffix}`)
+                    ]
+                ));
+            });
+
+        const placeholders = this._createSection(
+            'Handwritten Information Placeholders',
+            'These codes leave space for handwritten information on printed labels:',
+            ShorthandCodes.doseFamilies.map(family =>
+                this._createItem(`x${family.suffix}`, this.translate(`x${family.suffix}`)))
+        );
+        placeholders.querySelector('.pattern-note').classList.add('placeholder-note');
+        container.appendChild(placeholders);
+
+        const builtIn = ShorthandCodes.getBySource('built-in');
+        this.CODE_SECTIONS.forEach(section => {
+            // Codes the patterns already give (e.g. "2t") are covered by the pattern sections
+            const items = builtIn
+                .filter(definition => section.types.includes(definition.type))
+                .filter(definition => definition.contexts || definition.choices ||
+                    ShorthandCodes.getPatternText(definition.code) !== definition.text)
+                .map(definition => this._createItem(definition.displayCode, ShorthandCodes.describe(definition.code)));
+
+            if (items.length > 0) {
+                container.appendChild(this._createSection(section.heading, null, items));
+            }
+        });
+
+        container.appendChild(this._createSection(
+            'Duration Specifications',
+            'Duration codes follow these patterns:',
+            Object.entries(ShorthandCodes.durationUnits).map(([divisor, unit]) =>
+                this._createItem(`n/${divisor}`, `For any number of ${unit}s`, `3/${divisor}`))
+        ));
+
+        container.appendChild(this._createSection(
+            'Doses at Different Times',
+            'Give each time of day its own dose, straight after it:',
+            [
+                this._createItem('HH:MM', 'At a time on the 24-hour clock', '1t 08:00 2t 14:00 1t 20:00'),
+                this._createItem('dose time dose time', 'A different dose at each time of day', '2t mane 1t nocte')
+            ]
+        ));
+    },
+
+    /**
+     * List the custom codes saved on this device, with a worked example of any
+     * that contain {n}
+     */
+    renderCustomCodes() {
+        const container = document.getElementById('custom-code-list');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (CustomShorthand.codes.length === 0) {
+            const none = document.createElement('p');
+            none.textContent = 'No custom codes have been added on this computer.';
+            container.appendChild(none);
+            return;
+        }
+
+        CustomShorthand.codes.forEach(definition => {
+            const description = definition.macro ? `same as "${definition.macro}"` : definition.text;
+            const example = definition.code.includes('{n}') ? definition.code.replace('{n}', '2') : null;
+            container.appendChild(this._createItem(definition.code, description, example));
+        });
+    },
+
+    /**
+     * List every code from ShorthandCodes.getCollisionReport, grouped by kind
+     */
+    renderCollisionReport() {
+        const container = document.getElementById('collision-list');
+        if (!container) return;
+
+        const report = ShorthandCodes.getCollisionReport();
+        container.innerHTML = '';
+
+        if (report.length === 0) {
+            const none = document.createElement('p');
+            none.textContent = 'No clashing codes found.';
+            container.appendChild(none);
+            return;
+        }
+
+        for (const [kind, heading] of Object.entries(this.COLLISION_HEADINGS)) {
+            const entries = report.filter(entry => entry.kind === kind);
+            if (entries.length === 0) continue;
+
+            const group = document.createElement('div');
+            group.className = 'collision-group';
+
+            const title = document.createElement('h3');
+            title.textContent = heading;
+            group.appendChild(title);
+
+            const list = document.createElement('ul');
+            entries.forEach(entry => {
+                const item = document.createElement('li');
+                const code = document.createElement('strong');
+                code.textContent = entry.code;
+                item.appendChild(code);
+                item.appendChild(document.createTextNode(` - ${entry.message}`));
+                list.appendChild(item);
+            });
+            group.appendChild(list);
+
+            container.appendChild(group);
+        }
+    },
+
+    /**
+     * Hide codes that don't match the search box, and any section left empty
+     */
+    initSearch() {
+        const input = document.getElementById('code-search');
+        if (!input) return;
+
+        input.addEventListener('input', () => {
+            const query = input.value.trim().toLowerCase();
+
+            document.querySelectorAll('.code-section').forEach(section => {
+                const items = section.querySelectorAll('.code-item');
+                if (items.length === 0) return;
+
+                let shown = 0;
+                items.forEach(item => {
+                    const matches = !query || item.textContent.toLowerCase().includes(query);
+                    item.classList.toggle('hidden', !matches);
+                    if (matches) shown++;
+                });
+                section.classList.toggle('hidden', shown === 0);
+            });
+
+            document.getElementById('search-empty').classList.toggle(
+                'hidden',
+                !query || document.querySelector('.code-item:not(.hidden)') !== null
+            );
+        });
+    },
+
+    /**
+     * Write out whatever is typed in the "Try it" box as it is typed
+     */
+    initTryIt() {
+        const input = document.getElementById('try-shorthand');
+        const formulationSelect = document.getElementById('try-formulation');
+        if (!input || !formulationSelect) return;
+
+        // Formulations that change the wording or the meaning of a code
+        const categories = new Set(Object.keys(ShorthandCodes.formulationWording)
+            .concat(Object.keys(ShorthandCodes.formulationContexts)));
+        Array.from(categories).sort().forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category.charAt(0).toUpperCase() + category.slice(1);
+            formulationSelect.appendChild(option);
+        });
+
+        const update = () => this._renderTryIt(input.value, formulationSelect.value);
+        input.addEventListener('input', update);
+        formulationSelect.addEventListener('change', update);
+    },
+
+    /**
+     * Full wording for some shorthand, as the label generator would write it.
+     * Words that aren't codes are marked, e.g. "ONCE a day [.5t?]", as nobody
+     * has chosen to keep them as typed here.
+     * @param {string} shorthand - Shorthand to translate
+     * @param {string} [formulationCategory] - Formulation category, if one is chosen
+     * @returns {string} - Translated text
+     */
+    translate(shorthand, formulationCategory) {
+        return LabelGenerator.translateShorthand(shorthand, formulationCategory, { markUnrecognised: true });
+    },
+
+    /**
+     * Show the translation of the "Try it" shorthand and any words it couldn't read
+     * @private
+     * @param {string} shorthand - Shorthand typed in the "Try it" box
+     * @param {string} formulationCategory - Formulation chosen, or '' for none
+     */
+    _renderTryIt(shorthand, formulationCategory) {
+        const result = document.getElementById('try-result');
+        const problems = document.getElementById('try-problems');
+
+        result.textContent = this.translate(shorthand, formulationCategory);
+
+        const model = DosageParser.parse(shorthand, formulationCategory);
+        const messages = [];
+        if (model.unrecognised.length > 0) {
+            messages.push(`Not shorthand codes: ${model.unrecognised.join(', ')}`);
+        }
+        model.ambiguous.forEach(flag =>
+            messages.push(`${flag.token} ${flag.reason} - use ${flag.options.map(option => option.code).join(' or ')}`));
+        model.problems.forEach(flag => messages.push(`${flag.token} ${flag.message}`));
+        problems.textContent = messages.join('. ');
+    },
+
+    /**
+     * A section of the page with its heading, optional pattern note and codes
+     * @private
+     * @param {string} heading - Section heading
+     * @param {string|null} note - Explanation shown above the codes, if any
+     * @param {Array<HTMLElement>} items - Code items from _createItem
+     * @returns {HTMLElement} - The section
+     */
+    _createSection(heading, note, items) {
+        const section = document.createElement('div');
+        section.className = 'code-section';
+
+        const title = document.createElement('h2');
+        title.textContent = heading;
+        section.appendChild(title);
+
+        if (note) {
+            const noteBox = document.createElement('div');
+            noteBox.className = 'pattern-note';
+            noteBox.textContent = note;
+            section.appendChild(noteBox);
+        }
+
+        const grid = document.createElement('div');
+        grid.className = 'code-grid';
+        items.forEach(item => grid.appendChild(item));
+        section.appendChild(grid);
+
+        return section;
+    },
+
+    /**
+     * One code and what it means, with a worked example if given
+     * @private
+     * @param {string} code - The code, or its pattern (e.g. "n-mt")
+     * @param {string} description - What the code means
+     * @param {string} [example] - Shorthand to write out as an example (e.g. "1-2t")
+     * @returns {HTMLElement} - The code item
+     */
+    _createItem(code, description, example) {
+        const item = document.createElement('div');
+        item.className = 'code-item';
+
+        const codeSpan = document.createElement('span');
+        codeSpan.className = 'code';
+        codeSpan.textContent = code;
+        item.appendChild(codeSpan);
+
+        const descriptionSpan = document.createElement('span');
+        descriptionSpan.className = 'description';
+        descriptionSpan.textContent = description;
+
+        if (example) {
+            const exampleSpan = document.createElement('span');
+            exampleSpan.className = 'example';
+            exampleSpan.textContent = `e.g. ${example} - "${this.translate(example)}"`;
+            descriptionSpan.appendChild(exampleSpan);
+        }
+
+        item.appendChild(descriptionSpan);
+        return item;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => ShorthandReference.init());
@@ -0,0 +1,389 @@
+/**
+ * Downtime Pharmacy Label Generator
+ * Warning Label Picker Module
+ * Keeps the BNF cautionary and advisory labels for the medicine in the form as
+ * a list of label numbers, shown as chips, rather than as text.
+ *
+ * - Labels suggested from the warning data for the medicine and formulation
+ *   are filled in automatically.
+ * - Any label in bnf_labels.json can be added by its number or by searching
+ *   its wording.
+ * - A suggested label can only be taken off with a reason, which is kept with
+ *   the queued label so it can be seen later. Labels added by hand can be
+ *   taken off freely.
+ *
+ * The labels are printed in BNF number order, each once, and a label whose
+ * wording is already part of another in the list (e.g. label 1 with label 2)
+ * is shown but not printed.
+ *
+ * The warnings are printed in the dispensary's language unless another is
+ * chosen for the label, e.g. Welsh then English. Only languages that every
+ * label has text in are offered (see MedicationManager.init); if a dispensary
+ * is set to one that isn't complete, labels with no text in it are printed in
+ * English, and the form says which they are.
+ */
+
+const WarningLabelPicker = {
+    // Label numbers on the label being made, in the order they were chosen
+    labels: [],
+
+    // Label numbers suggested from the warning data
+    suggested: [],
+
+    // Suggested labels taken off: [{ labelNumber, reason }]
+    removed: [],
+
+    // Language chosen for this label's warnings, or '' for the dispensary's
+    language: '',
+
+    // Suggested label waiting for a reason before it is taken off, or null
+    _pendingRemoval: null,
+
+    /**
+     * Set up adding labels, asking for reasons and choosing the language, and
+     * fill the lists of labels to search and languages to choose from
+     */
+    init() {
+        const languageSelect = document.getElementById('warning-language');
+        for (const language of MedicationManager.warningLanguages) {
+            this._addLanguageOption(languageSelect, language.code, language.name);
+        }
+        // Each language other than English can also be printed with the English after it
+        for (const language of MedicationManager.warningLanguages.filter(l => l.code !== 'en')) {
+            this._addLanguageOption(languageSelect, `${language.code}+en`, MedicationManager.getLanguageName(`${language.code}+en`));
+        }
+        languageSelect.addEventListener('change', () => {
+            this.language = languageSelect.value;
+            this.render();
+        });
+        // The dispensary decides the language unless one is chosen for the label
+        document.getElementById('dispensary-location').addEventListener('change', () => this.render());
+
+        const addInput = document.getElementById('warning-label-add');
+        const options = document.getElementById('warning-label-options');
+        MedicationManager.warningLabels.forEach(label => {
+            const option = document.createElement('option');
+            option.value = this._describeLabel(label);
+            options.appendChild(option);
+        });
+
+        document.getElementById('warning-label-add-btn').addEventListener('click', () => this._addFromInput());
+        addInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this._addFromInput();
+            }
+        });
+        addInput.addEventListener('input', () => this._setAddStatus(''));
+
+        document.getElementById('warning-removal-confirm').addEventListener('click', () => this._confirmRemoval());
+        document.getElementById('warning-removal-cancel').addEventListener('click', () => this._cancelRemoval());
+        document.getElementById('warning-removal-reason').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this._confirmRemoval();
+            } else if (e.key === 'Escape') {
+                this._cancelRemoval();
+            }
+        });
+
+        // The form puts the language back to the dispensary's too
+        document.getElementById('label-form').addEventListener('reset', () => this.setState({}));
+        this.render();
+    },
+
+    /**
+     * Replace the suggested labels, e.g. when the medicine or formulation changes.
+     * Labels added by hand stay; reasons for taking off the old suggestions are dropped.
+     * @param {Array} labelNumbers - Label numbers from the warning data
+     */
+    setSuggested(labelNumbers) {
+        const added = this.labels.filter(labelNum => !this.suggested.includes(labelNum));
+        this.suggested = [...new Set(labelNumbers)];
+        this.labels = [...new Set([...this.suggested, ...added])];
+        this.removed = [];
+        this._pendingRemoval = null;
+        this._changed();
+    },
+
+    /**
+     * Add a label to the label being made
+     * @param {number} labelNumber - BNF label number
+     * @returns {boolean} - False if there is no such label in bnf_labels.json
+     */
+    add(labelNumber) {
+        if (!MedicationManager.getWarningLabel(labelNumber)) {
+            return false;
+        }
+        if (!this.labels.includes(labelNumber)) {
+            this.labels.push(labelNumber);
+        }
+        // Adding a suggested label back undoes taking it off
+        this.removed = this.removed.filter(entry => entry.labelNumber !== labelNumber);
+        this._changed();
+        return true;
+    },
+
+    /**
+     * Take a label off the label being made. A suggested label needs a reason;
+     * without one the dispenser is asked for it first.
+     * @param {number} labelNumber - BNF label number
+     * @param {string} [reason] - Why a suggested label is not wanted
+     */
+    remove(labelNumber, reason) {
+        const isSuggested = this.suggested.includes(labelNumber);
+        if (isSuggested && !(reason || '').trim()) {
+            this._askForReason(labelNumber);
+            return;
+        }
+
+        this.labels = this.labels.filter(labelNum => labelNum !== labelNumber);
+        if (isSuggested) {
+            this.removed.push({ labelNumber, reason: reason.trim() });
+        }
+        this._pendingRemoval = null;
+        this._changed();
+    },
+
+    /**
+     * The labels chosen, to store with a queued label
+     * @returns {Object} - { warningLanguage, warningLabels, suggestedWarningLabels, removedWarningLabels }
+     */
+    getState() {
+        return {
+            warningLanguage: this.language,
+            warningLabels: [...this.labels],
+            suggestedWarningLabels: [...this.suggested],
+            removedWarningLabels: this.removed.map(entry => Object.assign({}, entry))
+        };
+    },
+
+    /**
+     * Show the labels stored with a queued label, e.g. when it is loaded back into the form
+     * @param {Object} labelData - Queued label data
+     */
+    setState(labelData) {
+        this.labels = [...(labelData.warningLabels || [])];
+        this.suggested = [...(labelData.suggestedWarningLabels || [])];
+        this.removed = (labelData.removedWarningLabels || []).map(entry => Object.assign({}, entry));
+        this.language = labelData.warningLanguage || '';
+        this._pendingRemoval = null;
+        this._changed();
+    },
+
+    /**
+     * Clear all labels, e.g. when the medication details are cleared.
+     * The language chosen stays for the next label.
+     */
+    clear() {
+        this.setState({ warningLanguage: this.language });
+    },
+
+    /**
+     * Show the chips, the reason box and the labels taken off
+     */
+    render() {
+        const chips = document.getElementById('warning-chips');
+        chips.innerHTML = '';
+
+        const printed = MedicationManager.orderWarningLabels(this.labels);
+        const sorted = [...this.labels].sort((a, b) => a - b);
+        if (sorted.length === 0) {
+            const empty = document.createElement('span');
+            empty.className = 'warning-chips-empty';
+            empty.textContent = 'No BNF warning labels';
+            chips.appendChild(empty);
+        }
+
+        for (const labelNum of sorted) {
+            const label = MedicationManager.getWarningLabel(labelNum);
+            const chip = document.createElement('span');
+            chip.className = 'warning-chip';
+            chip.classList.toggle('added', !this.suggested.includes(labelNum));
+            chip.title = label ? label.text : `Label ${labelNum} is not in bnf_labels.json`;
+
+            const number = document.createElement('strong');
+            number.textContent = String(labelNum);
+            chip.appendChild(number);
+
+            const text = document.createElement('span');
+            text.className = 'warning-chip-text';
+            text.textContent = label ? label.text : 'Unknown label';
+            chip.appendChild(text);
+
+            if (!printed.includes(labelNum)) {
+                const including = printed.find(other => (MedicationManager.getWarningLabel(other)?.includes || []).includes(labelNum));
+                chip.classList.add('covered');
+                const note = document.createElement('span');
+                note.className = 'warning-chip-note';
+                note.textContent = including ? `(part of label ${including})` : '(not printed)';
+                chip.appendChild(note);
+            }
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'warning-chip-remove';
+            removeButton.textContent = '×';
+            removeButton.setAttribute('aria-label', `Remove label ${labelNum}`);
+            removeButton.addEventListener('click', () => this.remove(labelNum));
+            chip.appendChild(removeButton);
+
+            chips.appendChild(chip);
+        }
+
+        const removal = document.getElementById('warning-label-removal');
+        removal.classList.toggle('hidden', this._pendingRemoval === null);
+        if (this._pendingRemoval !== null) {
+            document.getElementById('warning-removal-label').textContent =
+                `Reason for removing suggested label ${this._pendingRemoval}:`;
+        }
+
+        const removedList = document.getElementById('warning-removed');
+        removedList.innerHTML = '';
+        removedList.classList.toggle('hidden', this.removed.length === 0);
+        for (const entry of this.removed) {
+            const item = document.createElement('div');
+            item.className = 'warning-removed-item';
+            const text = document.createElement('span');
+            text.textContent = `Label ${entry.labelNumber} removed: ${entry.reason}`;
+            item.appendChild(text);
+            const undo = document.createElement('button');
+            undo.type = 'button';
+            undo.className = 'secondary-btn';
+            undo.textContent = 'Put back';
+            undo.addEventListener('click', () => this.add(entry.labelNumber));
+            item.appendChild(undo);
+            removedList.appendChild(item);
+        }
+
+        this._renderLanguage(printed);
+    },
+
+    /**
+     * Show the language chosen, and which labels will be printed in English
+     * because they have no text in that language yet
+     * @param {Array} printed - Label numbers that will be printed
+     */
+    _renderLanguage(printed) {
+        const languageSelect = document.getElementById('warning-language');
+        languageSelect.value = this.language;
+        const siteLanguage = DataManager.getWarningLanguage(document.getElementById('dispensary-location').value);
+        languageSelect.options[0].textContent = `Dispensary default (${MedicationManager.getLanguageName(siteLanguage)})`;
+
+        const language = this.language || siteLanguage;
+        const untranslated = MedicationManager.getUntranslatedLabels(printed, language);
+        const missing = language.split('+')
+            .filter(code => code !== 'en')
+            .map(code => MedicationManager.getLanguageName(code));
+        const status = document.getElementById('warning-language-status');
+        status.textContent = untranslated.length > 0
+            ? `No ${missing.join(' or ')} text yet for label${untranslated.length === 1 ? '' : 's'} ${untranslated.join(', ')} - printed in English only.`
+            : '';
+        status.classList.toggle('override', untranslated.length > 0);
+    },
+
+    /**
+     * Add a choice to the language list
+     * @param {HTMLSelectElement} select - The language list
+     * @param {string} value - Language code, e.g. "cy+en"
+     * @param {string} text - Name shown
+     */
+    _addLanguageOption(select, value, text) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    },
+
+    /**
+     * Add the label typed or picked in the add box: a label number, a label
+     * picked from the list, or words found in just one label
+     */
+    _addFromInput() {
+        const input = document.getElementById('warning-label-add');
+        const value = input.value.trim();
+        if (!value) return;
+
+        let labelNumbers;
+        const numberMatch = value.match(/^(\d+)\b/);
+        if (numberMatch) {
+            labelNumbers = [parseInt(numberMatch[1], 10)];
+        } else {
+            const words = value.toLowerCase();
+            labelNumbers = MedicationManager.warningLabels
+                .filter(label => label.text.toLowerCase().includes(words))
+                .map(label => label.label_number);
+        }
+
+        if (labelNumbers.length === 1 && this.add(labelNumbers[0])) {
+            input.value = '';
+            this._setAddStatus('');
+        } else if (labelNumbers.length > 1) {
+            this._setAddStatus(`${labelNumbers.length} labels contain "${value}" (${labelNumbers.join(', ')}) - choose one from the list or type its number.`);
+        } else {
+            this._setAddStatus(numberMatch
+                ? `There is no BNF label ${numberMatch[1]}.`
+                : `No BNF label contains "${value}".`);
+        }
+    },
+
+    /**
+     * Show why the typed label could not be added
+     * @param {string} message - Message, or '' to clear it
+     */
+    _setAddStatus(message) {
+        const status = document.getElementById('warning-label-add-status');
+        status.textContent = message;
+        status.classList.toggle('invalid', message !== '');
+    },
+
+    /**
+     * Ask for the reason a suggested label is not wanted
+     * @param {number} labelNumber - BNF label number
+     */
+    _askForReason(labelNumber) {
+        this._pendingRemoval = labelNumber;
+        const reason = document.getElementById('warning-removal-reason');
+        reason.value = '';
+        this.render();
+        reason.focus();
+    },
+
+    /**
+     * Take off the label waiting for a reason, if one has been given
+     */
+    _confirmRemoval() {
+        const reason = document.getElementById('warning-removal-reason');
+        if (this._pendingRemoval === null) return;
+        if (!reason.value.trim()) {
+            reason.focus();
+            return;
+        }
+        this.remove(this._pendingRemoval, reason.value);
+    },
+
+    /**
+     * Keep the label that was waiting for a reason
+     */
+    _cancelRemoval() {
+        this._pendingRemoval = null;
+        this.render();
+    },
+
+    /**
+     * Show the change and let listeners such as the label preview know about it
+     */
+    _changed() {
+        this.render();
+        document.getElementById('warning-chips').dispatchEvent(new Event('change', { bubbles: true }));
+    },
+
+    /**
+     * How a label is shown in the list to search
+     * @param {Object} label - Label from bnf_labels.json
+     * @returns {string} - e.g. "4 - Warning: Do not drink alcohol"
+     */
+    _describeLabel(label) {
+        return `${label.label_number} - ${label.text}`;
+    }
+};
@@ -0,0 +1,97 @@
+/**
+ * Downtime Pharmacy Label Generator
+ * Asset Manifest Generator
+ *
+ * Lists every file the app needs offline, with a SHA-256 hash of its contents,
+ * in asset-manifest.json. The service worker precaches exactly these files and
+ * the app checks them on startup, so a device knows whether its offline copy
+ * is complete before downtime starts.
+ *
+ * Run after changing any app file, before deploying:
+ *
+ *     node scripts/generate-asset-manifest.js
+ *
+ * It also writes the new version into service-worker.js, which is what makes
+ * browsers pick up the update.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+const MANIFEST_PATH = path.join(APP_ROOT, 'asset-manifest.json');
+const SERVICE_WORKER_PATH = path.join(APP_ROOT, 'service-worker.js');
+
+// Top-level files, and folders whose contents are all included
+const ROOT_FILES = ['index.html', 'shorthand-reference.html', 'manifest.json'];
+const ASSET_FOLDERS = ['css', 'js', 'data', 'images', 'favicon_io', 'icons'];
+
+/**
+ * List every file in a folder and its subfolders
+ * @param {string} folder - Folder path relative to the app root
+ * @returns {Array} - File paths relative to the app root, using forward slashes
+ */
+function listFiles(folder) {
+    const fullPath = path.join(APP_ROOT, folder);
+    if (!fs.existsSync(fullPath)) return [];
+
+    return fs.readdirSync(fullPath, { withFileTypes: true }).flatMap(entry => {
+        const relativePath = `${folder}/${entry.name}`;
+        if (entry.isDirectory()) return listFiles(relativePath);
+        if (entry.name.startsWith('.')) return [];
+        return [relativePath];
+    });
+}
+
+/**
+ * Hash a file's contents
+ * @param {string} relativePath - File path relative to the app root
+ * @returns {Object} - { sha256, size }
+ */
+function hashFile(relativePath) {
+    const contents = fs.readFileSync(path.join(APP_ROOT, relativePath));
+    return {
+        sha256: crypto.createHash('sha256').update(contents).digest('hex'),
+        size: contents.length
+    };
+}
+
+function main() {
+    const paths = ROOT_FILES.concat(...ASSET_FOLDERS.map(listFiles)).sort();
+
+    const files = paths.map(relativePath => ({
+        url: `./${relativePath}`,
+        ...hashFile(relativePath)
+    }));
+
+    // The version is a hash of all the file hashes, so it only changes when a file does
+    const version = crypto.createHash('sha256')
+        .update(files.map(file => `${file.url} ${file.sha256}`).join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+
+    // Keep the build date of an unchanged version, so re-running this doesn't
+    // make an old copy look newer than it is
+    let generated = new Date().toISOString();
+    if (fs.existsSync(MANIFEST_PATH)) {
+        const previous = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+        if (previous.version === version && previous.generated) {
+            generated = previous.generated;
+        }
+    }
+
+    const manifest = { version, generated, files };
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+
+    const serviceWorker = fs.readFileSync(SERVICE_WORKER_PATH, 'utf8');
+    const versionLine = /^const ASSET_VERSION = '[^']*';$/m;
+    if (!versionLine.test(serviceWorker)) {
+        throw new Error('Could not find the ASSET_VERSION line in service-worker.js');
+    }
+    fs.writeFileSync(SERVICE_WORKER_PATH, serviceWorker.replace(versionLine, `const ASSET_VERSION = '${version}';`));
+
+    console.log(`asset-manifest.json: ${files.length} files, version ${version}`);
+}
+
+main();
@@ -3,60 +3,95 @@
  * Service Worker
  *
  * This background script enables the app to work without an internet connection.
- * It intercepts file requests from the browser and serves locally cached copies
- * when the network is unavailable. When online, it always fetches the latest
- * version of files from the server so updates are picked up automatically.
+ * When installed it downloads every file listed in asset-manifest.json, checks
+ * each one against the hash in the manifest, and keeps them in a cache named
+ * after that version. The app is then always served from this verified copy,
+ * so it behaves the same online and offline.
+ *
+ * A new version of this script installs in the background but waits until the
+ * page tells it to take over (a SKIP_WAITING message), so an update never
+ * reloads the page in the middle of dispensing.
+ */
+
+// Version of the app's files, from asset-manifest.json.
+// Written by scripts/generate-asset-manifest.js - do not edit by hand.
+const ASSET_VERSION = 'c601b9891d82';
+
+const CACHE_PREFIX = 'uk-pharmacy-labels-';
+const CACHE_NAME = CACHE_PREFIX + ASSET_VERSION;
+const MANIFEST_URL = './asset-manifest.json';
+
+/**
+ * Hash a response body the same way the manifest generator does
+ * @param {Response} response - Response to hash (not consumed)
+ * @returns {Promise<string>} - SHA-256 hash as hex
  */
+async function sha256(response) {
+  const buffer = await response.clone().arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Download and verify every file in the manifest into this version's cache.
+ * Any missing or altered file fails the install, so the previous complete
+ * version stays in use rather than a partial one.
+ */
+async function precache() {
+  const manifestResponse = await fetch(MANIFEST_URL, { cache: 'no-store' });
+  if (!manifestResponse.ok) {
+    throw new Error(`Failed to load asset manifest: ${manifestResponse.status}`);
+  }
 
-// Cache name - update version when deploying changes
-const CACHE_NAME = 'uk-pharmacy-labels-v2';
-
-// Files to cache
-const FILES_TO_CACHE = [
-  './',
-  './index.html',
-  './css/styles.css',
-  './css/autocomplete.css',
-  './js/app.js',
-  './js/data-manager.js',
-  './js/label-generator.js',
-  './js/medication-manager.js',
-  './js/shorthand-codes.js',
-  './manifest.json',
-  './images/nhs_trust_logo.png'
-];
-
-// Install event - cache all required resources
+  const manifest = await manifestResponse.clone().json();
+  if (manifest.version !== ASSET_VERSION) {
+    // Usually means a deployment is only half uploaded - try again later
+    throw new Error(`Asset manifest is version ${manifest.version}, expected ${ASSET_VERSION}`);
+  }
+
+  const cache = await caches.open(CACHE_NAME);
+
+  await Promise.all(manifest.files.map(async file => {
+    const response = await fetch(file.url, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Failed to cache ${file.url}: ${response.status}`);
+    }
+
+    // The server answers unknown paths with index.html, so a missing file
+    // shows up here as a hash mismatch rather than an error
+    const hash = await sha256(response);
+    if (hash !== file.sha256) {
+      throw new Error(`Integrity check failed for ${file.url}`);
+    }
+
+    await cache.put(file.url, response);
+  }));
+
+  await cache.put(MANIFEST_URL, manifestResponse);
+}
+
+// Install event - download and verify all files for this version
+// The new version then waits; the page decides when it takes over
 self.addEventListener('install', event => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('Caching app shell');
-        // Cache files individually to handle missing files gracefully
-        return Promise.all(
-          FILES_TO_CACHE.map(url => {
-            return cache.add(url).catch(err => {
-              console.warn('Failed to cache:', url, err);
-              // Continue with other files even if one fails
-              return Promise.resolve();
-            });
-          })
-        );
-      })
-      .then(() => {
-        return self.skipWaiting();
-      })
+    precache().catch(error => {
+      console.error('Offline copy could not be installed:', error);
+      // Don't leave a half-filled cache behind
+      return caches.delete(CACHE_NAME).then(() => {
+        throw error;
+      });
+    })
   );
 });
 
-// Activate event - clean up old caches
+// Activate event - clean up caches from older versions
 self.addEventListener('activate', event => {
-  const currentCaches = [CACHE_NAME];
-  
   event.waitUntil(
     caches.keys()
       .then(cacheNames => {
-        return cacheNames.filter(cacheName => !currentCaches.includes(cacheName));
+        return cacheNames.filter(cacheName => cacheName.startsWith(CACHE_PREFIX) && cacheName !== CACHE_NAME);
       })
       .then(cachesToDelete => {
         return Promise.all(cachesToDelete.map(cacheToDelete => {
@@ -67,40 +102,70 @@ self.addEventListener('activate', event => {
   );
 });
 
-// Fetch event - network-first strategy
-// Always try the network first so code updates are picked up immediately.
-// Falls back to cache when offline (the main PWA use case).
+// Message event
+// - SKIP_WAITING: the page asks a waiting version to take over after printing
+//   or New Patient if the queue and form are empty, or when the user clicks
+//   "Update now"
+// - GET_VERSION: the page asks which version and cache it is running from,
+//   to check the offline copy on startup
+self.addEventListener('message', event => {
+  if (!event.data) return;
+
+  if (event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (event.data.type === 'GET_VERSION' && event.ports[0]) {
+    event.ports[0].postMessage({ version: ASSET_VERSION, cacheName: CACHE_NAME });
+  }
+});
+
+// Fetch event - cache-first strategy
+// Files come from this version's verified cache. Only the asset manifest goes
+// to the network first, so the app can tell whether a newer version exists.
 self.addEventListener('fetch', event => {
   // Skip cross-origin requests
   if (!event.request.url.startsWith(self.location.origin)) {
     event.respondWith(new Response('Blocked', {status: 403}));
     return;
   }
-  
-  // Build a cache-busting request so we bypass the browser HTTP cache
-  const freshRequest = new Request(event.request, { cache: 'no-cache' });
-  
+
+  if (event.request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(event.request.url);
+
+  if (url.pathname.endsWith('/asset-manifest.json')) {
+    event.respondWith(
+      fetch(event.request, { cache: 'no-store' })
+        .catch(() => {
+          // Offline: answer with the installed manifest, marked so the page
+          // doesn't mistake it for confirmation that it is up to date
+          return caches.match(MANIFEST_URL, { cacheName: CACHE_NAME }).then(cached => {
+            if (!cached) return Response.error();
+            const headers = new Headers(cached.headers);
+            headers.set('X-Served-From-Cache', 'true');
+            return new Response(cached.body, { status: 200, headers });
+          });
+        })
+    );
+    return;
+  }
+
   event.respondWith(
-    fetch(freshRequest)
-      .then(response => {
-        // Don't cache responses if they're not valid
-        if (!response || response.status !== 200 || response.type !== 'basic') {
-          return response;
-        }
-        
-        // Clone the response since it can only be consumed once
-        const responseToCache = response.clone();
-        
-        caches.open(CACHE_NAME)
-          .then(cache => {
-            cache.put(event.request, responseToCache);
+    caches.open(CACHE_NAME)
+      .then(cache => {
+        return cache.match(event.request, { ignoreSearch: true })
+          .then(cached => {
+            if (cached) {
+              return cached;
+            }
+            // Page addresses (e.g. "/") are all served by index.html
+            if (event.request.mode === 'navigate') {
+              return cache.match('./index.html')
+                .then(page => page || fetch(event.request));
+            }
+            return fetch(event.request);
           });
-        
-        return response;
-      })
-      .catch(() => {
-        // Network failed — serve from cache (offline fallback)
-        return caches.match(event.request);
       })
   );
 });